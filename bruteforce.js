@@ -0,0 +1,117 @@
+// Brute-force cost report: anyone with a copy of the page can try every possible image
+// hash offline until one of them decrypts a level key. This estimates how long that takes
+// on the computer running the build, which is an optimistic bound for the game as
+// attackers can use many cores or GPUs and real screenshot hashes are not random.
+const { performance } = require('perf_hooks')
+const matcher = require('./matcher')
+
+const BENCHMARK_ROUNDS = 3
+// Levels cheaper than this to brute-force cause a warning
+const MIN_BRUTE_FORCE_TIME = 24 * 60 * 60
+const CROP_COUNT = 3
+const TIME_UNITS = [
+  ['years', 365 * 24 * 60 * 60],
+  ['days', 24 * 60 * 60],
+  ['hours', 60 * 60],
+  ['minutes', 60],
+  ['seconds', 1]
+]
+
+// `levels` is a list of {kdf, bitCount, tolerance, keyCount} objects, one for each level.
+// Returns the report lines.
+async function getBruteForceReport (subtle, levels) {
+  const timings = {}
+  const groups = []
+
+  for (let i = 0; i < levels.length; i++) {
+    const { kdf, bitCount, tolerance, keyCount } = levels[i]
+    const params = matcher.getKdfParams(kdf)
+    const kdfName = `${params.name} with ${params.iterations} iterations`
+    if (!timings[kdfName]) timings[kdfName] = await measureKdf(subtle, kdf)
+    if (!timings.check) timings.check = await measureCheck(subtle)
+
+    // Without tolerance each hash needs a key derivation. Tolerant levels have check
+    // bytes, which let attackers skip the key derivation for most of the hashes.
+    const hashCount = Math.pow(2, bitCount) / 2 / keyCount
+    const attackTime = tolerance
+      ? hashCount * timings.check + hashCount * keyCount / 256 * timings[kdfName]
+      : hashCount * timings[kdfName]
+
+    // A player picture is checked against all hashes close enough to its crops
+    const candidates = matcher.countCandidates(bitCount, tolerance, CROP_COUNT)
+    const playerTime = tolerance
+      ? candidates * timings.check + Math.ceil(candidates * keyCount / 256) * timings[kdfName]
+      : CROP_COUNT * timings[kdfName]
+
+    const description = `${kdfName}, ${bitCount} bits, tolerance ${tolerance}: ` +
+      `about ${formatDuration(attackTime)} to brute-force, up to ${formatDuration(playerTime)} to check a picture`
+    const group = groups.find(e => e.description === description)
+    if (group) {
+      group.levels.push(i + 1)
+    } else {
+      groups.push({ description, levels: [i + 1], attackTime })
+    }
+  }
+
+  const lines = ['Brute-force estimate (one CPU core of this computer, random hashes):']
+  for (let group of groups) {
+    lines.push(`  Level${group.levels.length === 1 ? '' : 's'} ${formatLevels(group.levels)}: ${group.description}`)
+  }
+
+  const weakLevels = groups.filter(e => e.attackTime < MIN_BRUTE_FORCE_TIME).reduce((all, e) => all.concat(e.levels), [])
+  if (weakLevels.length) {
+    lines.push(`  Warning: level${weakLevels.length === 1 ? '' : 's'} ${formatLevels(weakLevels.sort((a, b) => a - b))} can be brute-forced in less than a day: use a stronger "kdf" setting`)
+  }
+  return lines
+}
+
+// Returns the seconds a key derivation takes
+async function measureKdf (subtle, kdf) {
+  const hash = new Uint8Array(7)
+  const salt = new Uint8Array(16)
+  const start = performance.now()
+  for (let i = 0; i < BENCHMARK_ROUNDS; i++) {
+    hash[0] = i
+    await matcher.deriveImageKey(subtle, hash, salt, ['decrypt'], kdf)
+  }
+  return (performance.now() - start) / BENCHMARK_ROUNDS / 1000
+}
+
+// Returns the seconds a check byte takes
+async function measureCheck (subtle) {
+  const hash = new Uint8Array(7)
+  const salt = new Uint8Array(16)
+  const rounds = BENCHMARK_ROUNDS * 1000
+  const start = performance.now()
+  for (let i = 0; i < rounds; i++) {
+    hash[0] = i
+    await matcher.getCheckByte(subtle, hash, salt)
+  }
+  return (performance.now() - start) / rounds / 1000
+}
+
+function formatDuration (seconds) {
+  if (seconds < 1) return `${Math.max(1, Math.round(seconds * 1000))} ms`
+  for (let [unit, unitSeconds] of TIME_UNITS) {
+    if (seconds >= unitSeconds) {
+      const value = seconds / unitSeconds
+      return `${value < 1e6 ? Math.round(value) : value.toExponential(1)} ${unit}`
+    }
+  }
+}
+
+// Formats a sorted list of level numbers, like "1-3, 7"
+function formatLevels (levels) {
+  const ranges = []
+  for (let level of levels) {
+    const lastRange = ranges[ranges.length - 1]
+    if (lastRange && lastRange[1] === level - 1) {
+      lastRange[1] = level
+    } else {
+      ranges.push([level, level])
+    }
+  }
+  return ranges.map(e => e[0] === e[1] ? e[0] : `${e[0]}-${e[1]}`).join(', ')
+}
+
+module.exports.getBruteForceReport = getBruteForceReport
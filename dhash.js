@@ -0,0 +1,192 @@
+// The dHash implementation shared by the builder and the game page:
+// index.js requires it and the builder inlines it in the generated HTML,
+// so both always hash the same pixels to the same bits.
+// It works on raw RGBA pixels, as returned by Jimp bitmaps and canvas ImageData.
+const dhash = (function () {
+  // The hash geometry: the image is reduced to a sizeMax x sizeMax grid of cells, each one
+  // averaging its area plus `padding` cells around it, and the hash compares sizeMin x sizeMin
+  // neighbour cells. The grayscale conversion uses the R, G and B `weights`. Cells in `mask`,
+  // as [x, y] pairs, are ignored: by default the top right one, where the Crunchyroll logo is.
+  const DEFAULT_OPTIONS = {
+    sizeMin: 5,
+    sizeMax: 6,
+    padding: 0.25,
+    weights: [3, 5, 1],
+    mask: [[5, 0]]
+  }
+  // Border lines with a luma range up to this value are trimmed as bars
+  const uniformThreshold = 16
+  const maxLineSamples = 256
+
+  // Returns the hash as a Uint8Array
+  function computeHash (pixels, width, height, rect, options) {
+    return bin2arr(computeBits(pixels, width, height, rect, options))
+  }
+
+  // Fills the missing options with the default ones. The default mask follows sizeMax.
+  function getOptions (options) {
+    const result = Object.assign({}, DEFAULT_OPTIONS, options)
+    if (!options || !options.mask) result.mask = [[result.sizeMax - 1, 0]]
+    return result
+  }
+
+  // The image hash is generated by a reduction as long to a color reduction and followed
+  // of the perceptual hash calculation from a horizontal and vertical slice.
+  // Only the region in `rect` ({x, y, width, height}) is used, the whole image if not given.
+  // Returns the hash as a binary string.
+  function computeBits (pixels, width, height, rect, options) {
+    const {sizeMin, sizeMax, padding, weights, mask} = getOptions(options)
+    const grayValues = []
+    const area = rect || {x: 0, y: 0, width, height}
+
+    // Get the fixed width and height values, slicing the image in the 16:9 proportion
+    // as many users will input screen shots and rarely those have the correct proportion
+    const isLandscape = area.width > area.height * 16 / 9
+    const fixedWidth = isLandscape ? area.height * 16 / 9 : area.width
+    const fixedHeight = isLandscape ? area.height : area.width * 9 / 16
+    const startX = area.x + (area.width - fixedWidth) / 2
+    const startY = area.y + (area.height - fixedHeight) / 2
+    const rX = fixedWidth / sizeMax
+    const rY = fixedHeight / sizeMax
+
+    for (let y = 0; y < sizeMax; y++) {
+      for (let x = 0; x < sizeMax; x++) {
+        // Masked cells are ignored, like the superior right one where is the Crunchyroll's logo
+        if (mask.some(cell => cell[0] === x && cell[1] === y)) continue
+
+        let valueSum = 0
+        let pixelCount = 0
+        const minX = Math.floor(startX + Math.max(0, x - padding) * rX)
+        const maxX = Math.ceil(startX + Math.min(sizeMax, x + 1 + padding) * rX)
+        const minY = Math.floor(startY + Math.max(0, y - padding) * rY)
+        const maxY = Math.ceil(startY + Math.min(sizeMax, y + 1 + padding) * rY)
+
+        for (let y2 = minY; y2 < maxY; y2++) {
+          for (let x2 = minX + (y2 % 2); x2 < maxX; x2 += 2) {
+            // The default grayscale conversion uses a luma formula based on the CCIR 601 standard
+            // simplified to work with integer coefficients
+            const i = (x2 + y2 * width) * 4
+            valueSum += weights[0] * pixels[i] + weights[1] * pixels[i + 1] + weights[2] * pixels[i + 2]
+            pixelCount++
+          }
+        }
+
+        grayValues[x + y * sizeMax] = valueSum / pixelCount
+      }
+    }
+
+    // Generate the hash as a binary string
+    let hash = ''
+
+    // First we compare the pixels horizontally
+    for (let y = 0; y < sizeMin; y++) {
+      for (let x = 0; x < sizeMin; x++) {
+        const pixelA = grayValues[x + (y + 1) * sizeMax]
+        const pixelB = grayValues[x + 1 + (y + 1) * sizeMax]
+        hash += pixelA < pixelB ? 1 : 0
+      }
+    }
+
+    // Then we compare those vertically
+    for (let x = 0; x < sizeMin; x++) {
+      for (let y = 0; y < sizeMin; y++) {
+        const pixelA = grayValues[x + y * sizeMax]
+        const pixelB = grayValues[x + (y + 1) * sizeMax]
+        hash += pixelA < pixelB ? 1 : 0
+      }
+    }
+
+    return hash
+  }
+
+  // Returns how many bits of the hash can change: comparisons with a masked cell are always 0
+  function countVariableBits (options) {
+    const { sizeMin, mask } = getOptions(options)
+    const isMasked = (x, y) => mask.some(cell => cell[0] === x && cell[1] === y)
+    let count = 0
+    for (let a = 0; a < sizeMin; a++) {
+      for (let b = 0; b < sizeMin; b++) {
+        // The horizontal comparison of the cells (b, a + 1) and (b + 1, a + 1)
+        if (!isMasked(b, a + 1) && !isMasked(b + 1, a + 1)) count++
+        // The vertical comparison of the cells (a, b) and (a, b + 1)
+        if (!isMasked(a, b) && !isMasked(a, b + 1)) count++
+      }
+    }
+    return count
+  }
+
+  // Returns the hashes of the regions where the video can be: the whole image (as
+  // screenshots of full screen players), the region left after trimming uniform borders
+  // (letterbox and pillarbox bars, window borders) and a centered 4:3 region of it,
+  // for 4:3 shows whose bars were not detected. Duplicated hashes are removed.
+  function computeCropBits (pixels, width, height, options) {
+    const videoRect = findVideoRect(pixels, width, height)
+    const rects = [
+      {x: 0, y: 0, width, height},
+      videoRect,
+      getCenteredRect(videoRect, 4 / 3)
+    ]
+
+    const hashes = []
+    for (let rect of rects) {
+      const bits = computeBits(pixels, width, height, rect, options)
+      if (!hashes.includes(bits)) hashes.push(bits)
+    }
+    return hashes
+  }
+
+  // Finds the video region by trimming uniform lines from each border of the image
+  function findVideoRect (pixels, width, height) {
+    let top = 0
+    let bottom = height
+    let left = 0
+    let right = width
+
+    while (bottom - top > height / 3 && isUniformLine(pixels, width, left, top, right - left, true)) top++
+    while (bottom - top > height / 3 && isUniformLine(pixels, width, left, bottom - 1, right - left, true)) bottom--
+    while (right - left > width / 3 && isUniformLine(pixels, width, left, top, bottom - top, false)) left++
+    while (right - left > width / 3 && isUniformLine(pixels, width, right - 1, top, bottom - top, false)) right--
+
+    return {x: left, y: top, width: right - left, height: bottom - top}
+  }
+
+  // Checks if a horizontal or vertical line of pixels has about the same luma
+  function isUniformLine (pixels, width, x, y, length, isHorizontal) {
+    const step = Math.max(1, Math.floor(length / maxLineSamples))
+    let min = Infinity
+    let max = -Infinity
+
+    for (let j = 0; j < length; j += step) {
+      const i = isHorizontal ? (x + j + y * width) * 4 : (x + (y + j) * width) * 4
+      const luma = (3 * pixels[i] + 5 * pixels[i + 1] + pixels[i + 2]) / 9
+      if (luma < min) min = luma
+      if (luma > max) max = luma
+      if (max - min > uniformThreshold) return false
+    }
+
+    return true
+  }
+
+  function getCenteredRect (rect, ratio) {
+    const width = Math.min(rect.width, Math.round(rect.height * ratio))
+    const height = Math.min(rect.height, Math.round(rect.width / ratio))
+    return {
+      x: rect.x + Math.floor((rect.width - width) / 2),
+      y: rect.y + Math.floor((rect.height - height) / 2),
+      width,
+      height
+    }
+  }
+
+  function bin2arr (str) {
+    const result = []
+    const len = Math.ceil(str.length / 8)
+    str = str.padEnd(len * 8, 0)
+    for (let i = 0; i < len; i++) result[i] = parseInt(str.substr(i * 8, 8), 2)
+    return new Uint8Array(result)
+  }
+
+  return { DEFAULT_OPTIONS, getOptions, countVariableBits, computeHash, computeBits, computeCropBits, findVideoRect, bin2arr }
+})()
+
+if (typeof module !== 'undefined') module.exports = dhash
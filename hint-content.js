@@ -0,0 +1,52 @@
+// Hint contents shared by the builder, the game page and the verify command. A hint in the
+// game data is either a text, for free text hints, or {type, key, mime, data}: `type` is
+// one of HINT_TYPES, `key` is the index of the hint key which unlocks it (the ones of the
+// hint thresholds, then the scheduled ones) and it's missing for free hints, `mime` is
+// only set for images and audios and `data` is the content. Texts are kept as they are
+// and other contents as base64, encrypted when there's a key. Each hint is encrypted with
+// its own iv, from the hint salt, the level salt and the hint position.
+const hintContent = (function () {
+  // Formatted texts support **bold**, *italic* and line breaks
+  const HINT_TYPES = ['text', 'formatted', 'image', 'audio']
+  const FORMATTING_REGEX = /(\*\*[^*\n]+\*\*|\*[^*\n]+\*|\n)/
+
+  // Returns the iv of the hint at `index`: hints can have at most 256 per level
+  function getHintIV (hintSalt, levelSalt, index) {
+    const iv = new Uint8Array(hintSalt.length + levelSalt.length + 1)
+    iv.set(hintSalt)
+    iv.set(levelSalt, hintSalt.length)
+    iv[iv.length - 1] = index
+    return iv
+  }
+
+  // Returns the content of a hint as a Uint8Array, throwing an error if the key is wrong
+  async function decryptHint (subtle, hint, hintKey, iv, decodeBase64) {
+    const key = await subtle.importKey('raw', hintKey, {name: 'AES-GCM'}, false, ['decrypt'])
+    const decrypted = await subtle.decrypt({
+      name: 'AES-GCM',
+      iv
+    }, key, decodeBase64(hint.data))
+    return new Uint8Array(decrypted)
+  }
+
+  // Splits a formatted text in parts: {text, style}, with the style being 'bold', 'italic'
+  // or null, and {lineBreak: true}
+  function parseFormattedText (text) {
+    // The odd parts are the ones the regex matched
+    return text.split(FORMATTING_REGEX).map((part, i) => {
+      if (i % 2 === 0) return { text: part, style: null }
+      if (part === '\n') return { lineBreak: true }
+      if (part.startsWith('**')) return { text: part.slice(2, -2), style: 'bold' }
+      return { text: part.slice(1, -1), style: 'italic' }
+    }).filter(e => e.text !== '')
+  }
+
+  return {
+    HINT_TYPES,
+    getHintIV,
+    decryptHint,
+    parseFormattedText
+  }
+})()
+
+if (typeof module !== 'undefined') module.exports = hintContent
@@ -0,0 +1,257 @@
+// Level hints loading: the hints can come from local files inside the data folder
+// (hints-<lang>.csv, hints-<lang>.json or hints-<lang>.yaml) or, as a fallback,
+// from a published Google Sheet
+const { HINT_TYPES } = require('./hint-content')
+const yaml = require('js-yaml')
+const path = require('path')
+const util = require('util')
+const fs = require('fs')
+
+const readFile = util.promisify(fs.readFile)
+const access = util.promisify(fs.access)
+const HINT_FILE_EXTENSIONS = ['csv', 'json', 'yaml', 'yml']
+const NOTES_HEADERS = ['notes', 'note', 'notas', 'nota', 'observações', 'observação', 'obs', 'obs.']
+
+async function loadHints ({ dataFolder, lang, levelCount, spreadsheet }) {
+  const source = await findHintSource(dataFolder, lang, spreadsheet)
+  let hints
+
+  if (source.type === 'spreadsheet') {
+    const response = await fetch(source.url)
+    if (!response.ok) throw Error(`Could not load the hints for "${lang}" from the spreadsheet: HTTP ${response.status}`)
+    hints = parseCSVHints(await response.text(), source.name)
+  } else {
+    const contents = await readFile(source.path, 'utf-8')
+    if (source.type === 'csv') {
+      hints = parseCSVHints(contents, source.name)
+    } else {
+      hints = parseObjectHints(source.type === 'json' ? parseJSON(contents, source.name) : parseYAML(contents, source.name), source.name)
+    }
+  }
+
+  return validateHints(hints, levelCount, source.name)
+}
+
+async function findHintSource (dataFolder, lang, spreadsheet) {
+  for (let extension of HINT_FILE_EXTENSIONS) {
+    const filePath = path.join(dataFolder, `hints-${lang}.${extension}`)
+    const exists = await access(filePath).then(() => true, () => false)
+    if (exists) {
+      return {
+        type: extension === 'yml' ? 'yaml' : extension,
+        path: filePath,
+        name: path.basename(filePath)
+      }
+    }
+  }
+
+  if (spreadsheet && spreadsheet.url && spreadsheet.sheets && spreadsheet.sheets[lang] !== undefined) {
+    return {
+      type: 'spreadsheet',
+      url: spreadsheet.url + spreadsheet.sheets[lang],
+      name: `spreadsheet sheet ${spreadsheet.sheets[lang]}`
+    }
+  }
+
+  throw Error(`Unknown language "${lang}": add a hints-${lang}.csv, .json or .yaml file to ${dataFolder}`)
+}
+
+// The CSV layout is the same from the spreadsheet: the first row is a header,
+// then each row is a level with the columns level number, answer, hints and,
+// optionally, notes. The answer and notes columns are only used by the organizers.
+// The notes column is the last one when its header is one of NOTES_HEADERS.
+function parseCSVHints (text, sourceName) {
+  const [header = [], ...rows] = parseCSV(text, sourceName)
+  const lastHeader = (header[header.length - 1] || '').trim().toLowerCase()
+  const notesColumn = header.length > 2 && NOTES_HEADERS.includes(lastHeader) ? header.length - 1 : null
+  const hints = {}
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i]
+    if (row.every(cell => cell.trim() === '')) continue
+    const level = row[0].trim()
+    if (hints[level]) throw Error(`Level ${level} is defined twice in ${sourceName}`)
+    // A hint in the notes column would be dropped without a message
+    if (notesColumn !== null && row.length > header.length) {
+      throw Error(`Row ${i + 2} of ${sourceName} has more columns than the header, which ends with the notes`)
+    }
+    hints[level] = trimEmptyHints(row.slice(2, notesColumn === null ? row.length : notesColumn))
+  }
+
+  return hints
+}
+
+// JSON and YAML files can be either an object mapping level numbers to hint lists
+// or a list of hint lists, the first one being for level 1. Besides texts, those hint
+// lists can have objects (see validateHint)
+function parseObjectHints (data, sourceName) {
+  if (!data || typeof data !== 'object') throw Error(`${sourceName} must contain a list or an object of hint lists`)
+  const hints = {}
+  const entries = Array.isArray(data) ? data.map((e, i) => [String(i + 1), e]) : Object.entries(data)
+
+  for (let [level, levelHints] of entries) {
+    if (!Array.isArray(levelHints)) throw Error(`Hints of level ${level} in ${sourceName} must be a list`)
+    hints[level] = levelHints
+  }
+
+  return hints
+}
+
+function parseJSON (text, sourceName) {
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    throw Error(`Could not parse ${sourceName}: ${e.message}`)
+  }
+}
+
+function parseYAML (text, sourceName) {
+  try {
+    return yaml.load(text)
+  } catch (e) {
+    throw Error(`Could not parse ${sourceName}: ${e.message}`)
+  }
+}
+
+function trimEmptyHints (levelHints) {
+  let end = levelHints.length
+  while (end > 0 && levelHints[end - 1].trim() === '') end--
+  return levelHints.slice(0, end)
+}
+
+// Returns an array with the hints of each level, the first one being for level 1
+function validateHints (hints, levelCount, sourceName) {
+  const result = []
+  const missingLevels = []
+
+  for (let i = 0; i < levelCount; i++) {
+    const levelHints = hints[i + 1]
+    if (!levelHints || levelHints.length === 0) {
+      missingLevels.push(i + 1)
+      continue
+    }
+
+    result.push(levelHints.map((hint, j) => validateHint(hint, `Hint ${j + 1} of level ${i + 1} in ${sourceName}`)))
+  }
+
+  if (missingLevels.length) {
+    throw Error(`Missing hints for level${missingLevels.length === 1 ? '' : 's'} ${missingLevels.join(', ')} in ${sourceName}`)
+  }
+
+  const unknownLevels = Object.keys(hints).filter(e => !(Number(e) >= 1 && Number(e) <= levelCount && Number.isInteger(Number(e))))
+  if (unknownLevels.length) console.log(`Ignoring unknown levels in ${sourceName}: ${unknownLevels.join(', ')}`)
+
+  return result
+}
+
+// Hints are texts, unlocked by their position (see the README), or objects with one of
+// `text`, `formatted`, `image` or `audio` and, to lock those, a hint `threshold` or the
+// number of a `scheduled` hint. Images can have a `crop` ([x, y, width, height]) and a
+// `blur` radius. Returns the trimmed text or {type, content, threshold, scheduled, crop, blur}.
+function validateHint (hint, name) {
+  if (typeof hint === 'string') {
+    if (hint.trim() === '') throw Error(`${name} is empty`)
+    return hint.trim()
+  }
+  if (!hint || typeof hint !== 'object' || Array.isArray(hint)) throw Error(`${name} is not a text or an object`)
+
+  const types = HINT_TYPES.filter(e => hint[e] !== undefined)
+  if (types.length !== 1) throw Error(`${name} must have one of ${HINT_TYPES.join(', ')}`)
+  const type = types[0]
+  if (typeof hint[type] !== 'string' || hint[type].trim() === '') throw Error(`${name}: the ${type} must be a text`)
+
+  if (hint.threshold !== undefined && hint.scheduled !== undefined) throw Error(`${name} can't have both a threshold and a scheduled hint`)
+  if (hint.threshold !== undefined && !Number.isInteger(hint.threshold)) throw Error(`${name}: the threshold must be a number`)
+  if (hint.scheduled !== undefined && !(Number.isInteger(hint.scheduled) && hint.scheduled >= 1)) {
+    throw Error(`${name}: the scheduled hint must be a number starting from 1`)
+  }
+
+  if ((hint.crop !== undefined || hint.blur !== undefined) && type !== 'image') throw Error(`${name}: only images can have a crop or a blur`)
+  if (hint.crop !== undefined && !(Array.isArray(hint.crop) && hint.crop.length === 4 &&
+    hint.crop.every((e, i) => Number.isInteger(e) && e >= (i < 2 ? 0 : 1)))) {
+    throw Error(`${name}: the crop must be [x, y, width, height] in pixels`)
+  }
+  if (hint.blur !== undefined && !(Number.isInteger(hint.blur) && hint.blur >= 1)) throw Error(`${name}: the blur must be a radius in pixels`)
+
+  return {
+    type,
+    content: hint[type].trim(),
+    threshold: hint.threshold,
+    scheduled: hint.scheduled,
+    crop: hint.crop,
+    blur: hint.blur
+  }
+}
+
+// RFC 4180 CSV parser: fields are separated by commas, records by line breaks,
+// fields can be quoted and quoted fields can contain commas, line breaks and
+// quotes, which are escaped by doubling them
+function parseCSV (text, sourceName = 'CSV') {
+  const rows = []
+  let row = []
+  let field = ''
+  let line = 1
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (char === '"' && field === '') {
+      // Quoted field
+      const startLine = line
+      i++
+      while (true) {
+        if (i >= text.length) throw Error(`Unterminated quoted field in ${sourceName} starting at line ${startLine}`)
+        if (text[i] === '"') {
+          if (text[i + 1] === '"') {
+            field += '"'
+            i += 2
+            continue
+          }
+          i++
+          break
+        }
+        if (text[i] === '\n') line++
+        field += text[i]
+        i++
+      }
+
+      if (i < text.length && text[i] !== ',' && text[i] !== '\r' && text[i] !== '\n') {
+        throw Error(`Unexpected character after a quoted field in ${sourceName} at line ${line}`)
+      }
+      // A null field means it was already added to the row
+      row.push(field)
+      field = null
+      if (text[i] === ',') {
+        field = ''
+        i++
+      }
+      continue
+    }
+
+    if (char === ',') {
+      row.push(field)
+      field = ''
+      i++
+    } else if (char === '\r' || char === '\n') {
+      if (field !== null) row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1
+      line++
+    } else if (char === '"') {
+      throw Error(`Unexpected quote inside an unquoted field in ${sourceName} at line ${line}`)
+    } else {
+      field += char
+      i++
+    }
+  }
+
+  if (field !== null && (field !== '' || row.length > 0)) row.push(field)
+  if (row.length > 0) rows.push(row)
+  return rows
+}
+
+module.exports.loadHints = loadHints
+module.exports.parseCSV = parseCSV
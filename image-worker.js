@@ -0,0 +1,45 @@
+// The image worker of the game page: it decodes the screenshot, hashes it with dhash.js
+// and tries the level keys with matcher.js outside the main thread, so big screenshots
+// and tolerant levels don't freeze the page. The page creates it from the inlined
+// dhash.js, matcher.js and this file (see checkImageInWorker).
+//
+// It receives {file, levelInfo, hashOptions} and posts {type: 'progress', progress} while
+// checking, then {type: 'result', levelKey}, {type: 'error'} if the file isn't an image or it
+// can't be checked, or {type: 'unsupported'} if the browser can't decode images in workers.
+self.onmessage = async evt => {
+  const { file, levelInfo, hashOptions } = evt.data
+  const canvas = typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined' && new OffscreenCanvas(1, 1)
+  const context = canvas && canvas.getContext('2d')
+  if (!context) {
+    self.postMessage({ type: 'unsupported' })
+    return
+  }
+
+  // Unhandled errors don't reach the page's worker.onerror, which would wait forever
+  try {
+    const image = await createImageBitmap(file).catch(() => null)
+    if (!image) {
+      self.postMessage({ type: 'error' })
+      return
+    }
+
+    canvas.width = image.width
+    canvas.height = image.height
+    context.drawImage(image, 0, 0)
+    const imageData = context.getImageData(0, 0, image.width, image.height)
+    image.close()
+
+    const bits = dhash.computeCropBits(imageData.data, imageData.width, imageData.height, hashOptions)
+    const level = matcher.parseLevel(levelInfo, decodeBase64)
+    const levelKey = await matcher.findLevelKey(self.crypto.subtle, bits, level, progress => {
+      self.postMessage({ type: 'progress', progress })
+    })
+    self.postMessage({ type: 'result', levelKey })
+  } catch (e) {
+    self.postMessage({ type: 'error' })
+  }
+}
+
+function decodeBase64 (input) {
+  return Uint8Array.from(self.atob(input), e => e.charCodeAt(0))
+}
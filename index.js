@@ -1,7 +1,19 @@
 // Modules
 const WebCrypto = require('node-webcrypto-ossl')
 const secrets = require('./secrets-node')
-const fetch = require('node-fetch')
+const { loadHints } = require('./hints')
+const { getBruteForceReport } = require('./bruteforce')
+const { getRobustnessReport, formatRobustnessSummary, formatRobustnessHTML } = require('./robustness')
+const { createRankServer } = require('./rank-server')
+const { auditRanking, formatStandingsCSV } = require('./rank-audit')
+const { LANGUAGE_LINK_KEY, loadStrings, checkStrings, translatePage } = require('./translations')
+const dhash = require('./dhash')
+const matcher = require('./matcher')
+const payload = require('./payload')
+const ranking = require('./ranking')
+const progression = require('./progression')
+const rewards = require('./rewards')
+const hintContent = require('./hint-content')
 const Jimp = require('jimp')
 const path = require('path')
 const util = require('util')
@@ -10,31 +22,145 @@ const fs = require('fs')
 // Derived functions
 const readFile = util.promisify(fs.readFile)
 const writeFile = util.promisify(fs.writeFile)
+const mkdir = util.promisify(fs.mkdir)
+const readdir = util.promisify(fs.readdir)
 const crypto = new WebCrypto()
+const randomBytes = require('crypto').randomBytes
+const createECDH = require('crypto').createECDH
+const createHash = require('crypto').createHash
 
 // Conversion constants
+// The folders are the defaults used when the --data, --templates and --out options are not given
 const JSON_PLACEHOLDER = `<script id="game-data" type="application/json">{}</script>`
 const DATA_FOLDER = path.resolve(__dirname, 'data')
 const BASE_HTML_FOLDER = path.resolve(__dirname, 'base-html')
+// The page template inside the templates folder, translated by the strings-<lang>.json files there
+const TEMPLATE_FILE = 'index.html'
 const FINAL_HTML_FOLDER = path.resolve(__dirname, 'generated-html')
-const SPREADSHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/e/[insert spreadsheet id here]/pub?output=csv&gid='
-const SPREADSHEET_LANGUAGE_IDS = {
-  pt: 0,
-  en: 1838584513
+const WATCH_DEBOUNCE_TIME = 300
+// The builder writes the service worker next to the pages, filling the placeholders
+const SERVICE_WORKER_FILE = 'service-worker.js'
+const CACHE_NAME_PLACEHOLDER = `const CACHE_NAME = 'mother-game'`
+const CACHED_FILES_PLACEHOLDER = 'const CACHED_FILES = []'
+// The sizes of the icons in the web app manifest, made from the "icon" setting
+const ICON_SIZES = [192, 512]
+// The ranking server used when neither --rank-endpoint nor "rankEndpoint" are set
+const DEFAULT_RANK_ENDPOINT = 'https://[example].firebaseio.com/'
+const DEFAULT_RANK_PORT = 8080
+const DEFAULT_RANK_LEVELS = 30
+// publish-hints --watch checks the time at least once a day
+const MAX_PUBLISH_WAIT = 24 * 60 * 60 * 1000
+// "firebase": the page downloads and verifies all players; "leaderboard": rank-server.js does it
+const RANK_MODES = ['firebase', 'leaderboard']
+// References from different levels closer than this (plus the levels' tolerances) cause a warning
+const MIN_REFERENCE_DISTANCE = 2
+// The fields of the level answers and the largest size of the answer images
+const ANSWER_FIELDS = ['title', 'episode', 'timestamp', 'link']
+const ANSWER_IMAGE_SIZE = 800
+// The hints of each level which are free when those don't say how they're unlocked
+const DEFAULT_FREE_HINTS = 3
+// The largest size of the image hints and of the audio hint files, which aren't converted
+const HINT_IMAGE_SIZE = 640
+const MAX_AUDIO_HINT_SIZE = 1024 * 1024
+const AUDIO_TYPES = { '.mp3': 'audio/mpeg', '.ogg': 'audio/ogg', '.opus': 'audio/ogg', '.m4a': 'audio/mp4', '.wav': 'audio/wav', '.webm': 'audio/webm' }
+// The images rewards can have, by extension
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' }
+const USAGE = `Usage:
+  node index.js build [--data <dir>] [--out <dir>] [--templates <dir>] [--lang pt,en] [--secrets <file>] [--rank-endpoint <url>] [--rank-mode firebase|leaderboard] [--watch]
+  node index.js init [--data <dir>] [--levels <count>] [--secrets <file>] [--force]
+  node index.js check-image --image <file> --level <number> [--data <dir>] [--out <dir>] [--lang pt]
+  node index.js check-hash --html <file>
+  node index.js check-robustness [--data <dir>] [--level <number>] [--html <file>]
+  node index.js verify [--data <dir>] [--out <dir>] [--lang pt,en]
+  node index.js publish-hints [--data <dir>] [--secrets <file>] [--rank-endpoint <url>] [--token <token>] [--watch]
+  node index.js check-certificate --nick <nickname> --signature <code> [--reward <number>] [--out <dir>] [--lang pt]
+  node index.js audit-rank --players <players.json> [--data <dir>] [--secrets <file>] [--end <date>] [--csv <file>] [--json <file>]
+  node index.js rank-server [--port 8080] [--db ranking.json] [--data <dir>] [--release-token <token>] [--leaderboard [--out <dir>] [--lang pt]]
+
+The secrets (the game salt and the level keys) are read, in this order, from the
+GAME_SECRETS environment variable (as JSON), from the file given by --secrets or by
+the GAME_SECRETS_FILE environment variable, or from data-keys.json inside the data
+folder (games created before it had the salt keep it in data-global.json).`
+const DEFAULT_SETTINGS = {
+  levelCount: 30,
+  hintThresholds: [5, 10, 15, 20],
+  unlockedLevels: 5,
+  languages: ['pt', 'en'],
+  kdf: { version: 2, iterations: 100000 },
+  playerKeys: true
 }
 
-async function generateGame () {
-  // TODO: those configurations it to a file
-  // It needs to be random and unique per game
-  const verificationKeys = JSON.parse(await readFile(path.join(DATA_FOLDER, 'data-keys.json')))
-  const globalSettings = JSON.parse(await readFile(path.join(DATA_FOLDER, 'data-global.json')))
+async function generateGame (options) {
+  const startTime = Date.now()
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const templateFolder = path.resolve(options.templates || BASE_HTML_FOLDER)
+  const outFolder = path.resolve(options.out || FINAL_HTML_FOLDER)
+
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (!globalSettings) throw Error(`There is no data-global.json in ${dataFolder}: run script with init`)
+
+  // Those settings are random and unique per game: run the script with init to create them
+  const { gameRandomSalt, keys: verificationKeys } = await readSecrets(dataFolder, options, globalSettings)
   const {
-    gameRandomSalt,
     levelCount,
-    hintThresholds,
     unlockedLevels,
-    languages
+    spreadsheet
   } = globalSettings
+  const languages = typeof options.lang === 'string' ? options.lang.split(',') : globalSettings.languages
+  const rankEndpoint = (options['rank-endpoint'] || globalSettings.rankEndpoint || DEFAULT_RANK_ENDPOINT).replace(/\/*$/, '/')
+  const rankMode = options['rank-mode'] || globalSettings.rankMode || RANK_MODES[0]
+  if (!RANK_MODES.includes(rankMode)) throw Error(`The ranking mode must be one of ${RANK_MODES.join(', ')}`)
+  // Games created before player keys don't have the setting and keep signing only the nickname
+  const playerKeys = Boolean(globalSettings.playerKeys)
+
+  // The hash settings are written to the game data so the page hashes images as the builder did
+  const gameHashOptions = getHashOptions(globalSettings.hash, 'The hash settings')
+  const hintThresholds = getHintThresholds(globalSettings)
+  const levelProgression = getProgression(globalSettings, languages)
+  const gameRewards = await getRewards(globalSettings, languages, dataFolder)
+  const scheduledHints = getScheduledHints(globalSettings)
+  const icons = await getIcons(globalSettings.icon, dataFolder)
+  const levelAnswers = []
+  for (let i = 0; i < levelCount; i++) levelAnswers.push(getAnswer(getLevelSettings(globalSettings, i), i))
+
+  console.log(`Building ${levelCount} levels from ${dataFolder} (${languages.join(', ')})`)
+
+  // Translations and hints are loaded first so missing or invalid ones stop the build before the slow parts
+  const template = await readFile(path.join(templateFolder, TEMPLATE_FILE), 'utf-8').catch(() => {
+    throw Error(`There is no ${TEMPLATE_FILE} in ${templateFolder}`)
+  })
+  const languageStrings = {}
+  const languageHints = {}
+  const outputFiles = []
+  const pagesHash = createHash('sha256')
+  async function writeOutput (fileName, contents) {
+    const filePath = path.resolve(outFolder, fileName)
+    await mkdir(outFolder, { recursive: true })
+    await writeFile(filePath, contents)
+    outputFiles.push({ path: filePath, size: Buffer.byteLength(contents) })
+  }
+  for (let lang of languages) {
+    languageStrings[lang] = await loadStrings(templateFolder, lang)
+    checkStrings(template, languageStrings[lang], lang)
+
+    const hints = await loadHints({
+      dataFolder,
+      spreadsheet,
+      lang,
+      levelCount
+    })
+    languageHints[lang] = []
+    for (let i = 0; i < levelCount; i++) {
+      languageHints[lang].push(await getLevelHints(hints[i], i, {
+        freeHints: getLevelSettings(globalSettings, i).freeHints,
+        hintThresholds,
+        scheduledCount: scheduledHints.length,
+        dataFolder,
+        lang
+      }))
+    }
+  }
+  console.log('  Loaded hints')
 
   const hintKeys = []
   const levelShares = []
@@ -51,6 +177,32 @@ async function generateGame () {
     }
   }
 
+  // After the keys of the hint thresholds come the scheduled hint keys, which aren't in
+  // the page: publish-hints sends those to the ranking server at their times
+  const scheduledHintData = []
+  for (let i = 0; i < scheduledHints.length; i++) {
+    const key = await getScheduledHintKey(gameRandomSalt, i)
+    hintKeys.push(await crypto.subtle.importKey('raw', key, {name: 'AES-GCM'}, false, ['encrypt']))
+    const keyHash = await crypto.subtle.digest({name: 'SHA-256'}, key)
+    scheduledHintData.push({ time: scheduledHints[i], keyHash: Buffer.from(keyHash).toString('base64') })
+  }
+
+  // Reward keys are shared in the same way, but only between the levels which count for those
+  const rewardKeys = []
+  const certificateKeys = []
+  const levelRewardShares = []
+  for (let i = 0; i < levelCount; i++) levelRewardShares.push([])
+  for (let i = 0; i < gameRewards.length; i++) {
+    const keyArrayBuffer = await crypto.subtle.digest({name: 'SHA-512'}, Buffer.from(gameRandomSalt + '-reward-' + i))
+    const key = Buffer.from(keyArrayBuffer).slice(0, 16)
+    rewardKeys.push(await crypto.subtle.importKey('raw', key, {name: 'AES-GCM'}, false, ['encrypt']))
+    certificateKeys.push(gameRewards[i].certificate ? await getCertificateKey(gameRandomSalt, i) : null)
+
+    const rewardLevels = gameRewards[i].levels || levelRewardShares.map((e, j) => j)
+    const shares = secrets.share(key, rewardLevels.length, gameRewards[i].threshold)
+    rewardLevels.forEach((level, j) => levelRewardShares[level].push({ reward: i, share: shares[j] }))
+  }
+
   const levelSalts = []
   const levelKeys = []
   const encryptedLevelKeys = []
@@ -58,11 +210,15 @@ async function generateGame () {
   const verificationPublicKeys = []
   const verificationPrivateKeys = []
   const levelThumbnails = []
+  const levelAnswerImages = []
   const levelEncryptedData = []
+  const levelMatching = []
+  const levelReferences = []
+  const levelSecurity = []
 
   for (let i = 0; i < levelCount; i++) {
     const verificationKey = verificationKeys[i]
-    if (!verificationKey) throw Error(`Missing ECDSA key ${i} - run script with --generate-key`)
+    if (!verificationKey) throw Error(`Missing ECDSA key ${i} - run script with init --levels ${levelCount}`)
 
     verificationPublicKeys.push(Buffer.from(verificationKey.publicKey, 'base64'))
 
@@ -76,39 +232,66 @@ async function generateGame () {
     privateKeyJWK.key_ops = ['sign']
     privateKeyJWK.kty = 'EC'
 
-    const privateKeyJSON = Buffer.from(JSON.stringify(privateKeyJWK))
-    if (privateKeyJSON.length !== 206) throw Error(`Private key length is ${privateKeyJSON.length}`)
-    verificationPrivateKeys.push(privateKeyJSON)
+    verificationPrivateKeys.push(Buffer.from(JSON.stringify(privateKeyJWK)))
 
     const saltArrayBuffer = await crypto.subtle.digest({name: 'SHA-512'}, Buffer.from(gameRandomSalt + '-salt-' + i))
     const salt = Buffer.from(saltArrayBuffer.slice(0, 16))
     levelSalts.push(salt)
 
-    const imagePath = path.resolve(DATA_FOLDER, `${i + 1}.png`)
-    const imageHash = await getHash(imagePath)
-
-    const pbkdf2Wrapper = await crypto.subtle.importKey('raw', imageHash, {name: 'PBKDF2'}, false, ['deriveKey'])
-    const encryptionKey = await crypto.subtle.deriveKey({
-      name: 'PBKDF2',
-      salt,
-      iterations: 1e4,
-      hash: {name: 'SHA-1'},
-    }, pbkdf2Wrapper, {
-      name: 'AES-GCM',
-      length: 128
-    }, false, ['encrypt'])
-
     const levelKeyAB = await crypto.subtle.digest({name: 'SHA-512'}, Buffer.from(gameRandomSalt + '-key-' + i))
     const levelKey = Buffer.from(levelKeyAB).slice(0, 16)
     levelKeys.push(levelKey)
 
-    const encryptedKey = await crypto.subtle.encrypt({
-      name: 'AES-GCM',
-      iv: salt
-    }, encryptionKey, levelKey)
-    encryptedLevelKeys.push(Buffer.from(encryptedKey))
+    // The level key is encrypted once for each reference image, so any of those unlocks the level.
+    // Each reference is hashed in the same crops the page tries (see dhash.computeCropBits).
+    const levelSettings = getLevelSettings(globalSettings, i)
+    const referencePaths = await getReferencePaths(dataFolder, i, levelSettings)
+    const hashOptions = levelSettings.hash
+    const encryptedKeys = []
+    const encryptedBits = []
+    const checks = []
+    const references = []
+
+    for (let imagePath of referencePaths) {
+      const cropBits = await getCropBits(imagePath, hashOptions)
+      references.push({ name: path.relative(dataFolder, imagePath), bits: cropBits })
+
+      for (let bits of cropBits) {
+        if (encryptedBits.includes(bits)) continue
+        encryptedBits.push(bits)
+
+        const imageHash = dhash.bin2arr(bits)
+        const encryptionKey = await matcher.deriveImageKey(crypto.subtle, imageHash, salt, ['encrypt'], levelSettings.kdf)
+        const encryptedKey = await crypto.subtle.encrypt({
+          name: 'AES-GCM',
+          iv: salt
+        }, encryptionKey, levelKey)
+        encryptedKeys.push(Buffer.from(encryptedKey).toString('base64'))
+
+        // Tolerant levels get a check byte so the page don't need to derive a key for each hash neighbour
+        if (levelSettings.tolerance) checks.push(await matcher.getCheckByte(crypto.subtle, imageHash, salt))
+      }
+    }
+
+    encryptedLevelKeys.push(encryptedKeys.length === 1 ? encryptedKeys[0] : encryptedKeys)
+    const matching = levelSettings.tolerance ? {
+      tolerance: levelSettings.tolerance,
+      check: checks.length === 1 ? checks[0] : checks
+    } : {}
+    // Only levels hashed in other way than the rest of the game get their own hash settings
+    if (JSON.stringify(hashOptions) !== JSON.stringify(gameHashOptions)) matching.hash = hashOptions
+    // Levels from older games, without a "kdf", use the version 1
+    if (levelSettings.kdf.version !== 1) matching.kdf = levelSettings.kdf
+    levelMatching.push(matching)
+    levelReferences.push({ tolerance: levelSettings.tolerance, references })
+    levelSecurity.push({
+      kdf: levelSettings.kdf,
+      bitCount: dhash.countVariableBits(hashOptions),
+      tolerance: levelSettings.tolerance,
+      keyCount: encryptedKeys.length
+    })
 
-    const thumbPath = path.resolve(DATA_FOLDER, `${i + 1}_thumb.png`)
+    const thumbPath = path.resolve(dataFolder, `${i + 1}_thumb.png`)
     const thumbnailImage = await Jimp.read(thumbPath)
     const thumbnailData = await new Promise((resolve, reject) => {
       thumbnailImage.resize(64, 64).quality(50)
@@ -119,8 +302,14 @@ async function generateGame () {
       })
     })
     levelThumbnails.push(thumbnailData)
+    const answerImagePath = levelAnswers[i].image && path.resolve(dataFolder, levelAnswers[i].image)
+    levelAnswerImages.push(answerImagePath ? await getAnswerImage(answerImagePath, i) : null)
+    console.log(`  Level ${i + 1}/${levelCount}: hashed ${references.map(e => e.name).join(', ')}`)
   }
 
+  for (let warning of checkReferenceDistances(levelReferences)) console.log(`  Warning: ${warning}`)
+  for (let line of await getBruteForceReport(crypto.subtle, levelSecurity)) console.log(`  ${line}`)
+
   let thumbnailHeader
   sizeLoop: for (let i = 0; i < 1000; i++) {
     const testHeader = levelThumbnails[0].slice(0, i)
@@ -131,9 +320,14 @@ async function generateGame () {
   }
 
   for (let i = 0; i < levelCount; i++) {
-    const secretParts = [verificationPrivateKeys[i]]
-      .concat(levelShares[i], [levelThumbnails[i].slice(thumbnailHeader.length)])
-    const secretData = Buffer.concat(secretParts)
+    const secretData = payload.encodePayload({
+      signingKey: verificationPrivateKeys[i],
+      shares: levelShares[i],
+      thumbnail: levelThumbnails[i].slice(thumbnailHeader.length),
+      rewardShares: levelRewardShares[i],
+      answer: levelAnswers[i].answer,
+      answerImage: levelAnswerImages[i]
+    })
 
     const wrappedKey = await crypto.subtle.importKey('raw', levelKeys[i], {name: 'AES-GCM'}, false, ['encrypt'])
     const encryptedData = await crypto.subtle.encrypt({
@@ -152,147 +346,1289 @@ async function generateGame () {
       hintThresholds,
       hintSalt: languageSalt.toString('base64'),
       thumbnailHeader: thumbnailHeader.toString('base64'),
-      unlockedLevels
+      unlockedLevels,
+      hash: gameHashOptions,
+      rankEndpoint,
+      rankMode,
+      playerKeys
     }
+    // Games without a progression setting keep opening levels in order (see progression.js)
+    if (levelProgression) gameData.progression = translateProgression(levelProgression, lang)
+    if (scheduledHints.length) gameData.scheduledHints = scheduledHintData
+    // Rewards are encrypted for each language, as those have translated messages
+    if (gameRewards.length) {
+      gameData.rewards = []
+      for (let i = 0; i < gameRewards.length; i++) {
+        const reward = gameRewards[i]
+        const content = { message: translateText(reward.message, lang), image: reward.image }
+        if (certificateKeys[i]) content.certificateKey = certificateKeys[i].privateKey
 
-    const configPath = SPREADSHEET_CSV_URL + SPREADSHEET_LANGUAGE_IDS[lang]
-    const gameCSV = await fetch(configPath).then(e => e.text())
-    const gameConfig = gameCSV.split(/[\r\n]+/g).slice(1).map(e => {
-      return (e.match(/(?<=^|,)(?:"[^"]+"(?=(?:,|$))|[^",]+(?=(?:,|$)))/g) || []).map(e => {
-        return e.replace(/^"|"$/g, '')
-      })
-    }).reduce((obj, element) => {
-      if (element) obj[element[0]] = element.slice(2, -1)
-      return obj
-    }, {})
+        const ivArrayBuffer = await crypto.subtle.digest({name: 'SHA-512'}, Buffer.from(gameRandomSalt + '-reward-' + i + '-' + lang))
+        const iv = Buffer.from(ivArrayBuffer).slice(0, 16)
+        const encryptedContent = await crypto.subtle.encrypt({
+          name: 'AES-GCM',
+          iv
+        }, rewardKeys[i], Buffer.from(JSON.stringify(content)))
+
+        const rewardData = {
+          name: translateText(reward.name, lang),
+          threshold: reward.threshold,
+          data: Buffer.concat([iv, Buffer.from(encryptedContent)]).toString('base64')
+        }
+        if (reward.levels) rewardData.levels = reward.levels
+        if (certificateKeys[i]) rewardData.publicKey = certificateKeys[i].publicKey.toString('base64')
+        gameData.rewards.push(rewardData)
+      }
+    }
 
     for (let i = 0; i < levelCount; i++) {
-      const levelConfig = gameConfig[i + 1]
-      const plainHints = levelConfig.slice(0, 3)
-      const encryptedHints = levelConfig.slice(3)
-
-      for (let j = 0; j < encryptedHints.length; j++) {
-        const hintKey = hintKeys[j]
-        if (!hintKey) {
-          console.log('Missing hint keys!')
-          encryptedHints.splice(j, encryptedHints.length - j)
+      const levelHints = languageHints[lang][i]
+      const hints = []
+
+      for (let j = 0; j < levelHints.length; j++) {
+        const hint = levelHints[j]
+        // Free text hints are kept as texts, as in older games
+        if (hint.keyIndex === null && hint.type === 'text') {
+          hints.push(hint.content.toString())
           continue
         }
 
-        const encryptedData = await crypto.subtle.encrypt({
-          name: 'AES-GCM',
-          iv: Buffer.concat([languageSalt, levelSalts[i]])
-        }, hintKey, Buffer.from(encryptedHints[j]))
-        encryptedHints[j] = Buffer.from(encryptedData).toString('base64')
+        const hintData = { type: hint.type }
+        if (hint.mime) hintData.mime = hint.mime
+        if (hint.keyIndex === null) {
+          hintData.data = hint.type === 'formatted' ? hint.content.toString() : hint.content.toString('base64')
+        } else {
+          const encryptedData = await crypto.subtle.encrypt({
+            name: 'AES-GCM',
+            iv: hintContent.getHintIV(languageSalt, levelSalts[i], j)
+          }, hintKeys[hint.keyIndex], hint.content)
+          hintData.key = hint.keyIndex
+          hintData.data = Buffer.from(encryptedData).toString('base64')
+        }
+        hints.push(hintData)
       }
 
       const level = {
-        key: encryptedLevelKeys[i].toString('base64'),
+        key: encryptedLevelKeys[i],
         data: levelEncryptedData[i].toString('base64'),
-        hints: plainHints.concat(encryptedHints),
+        hints,
         publicKey: verificationPublicKeys[i].toString('base64')
       }
+      Object.assign(level, levelMatching[i])
       gameData.levels.push(level)
     }
 
-    const basePath = path.resolve(BASE_HTML_FOLDER, `index-${lang}.html`)
-    const baseHTML = await readFile(basePath, 'utf-8')
+    // Each page links to the other languages, at the URLs from "languageUrls" or next to it
+    const languageLinks = languages.filter(e => e !== lang).map(e => ({
+      name: languageStrings[e][LANGUAGE_LINK_KEY],
+      url: (globalSettings.languageUrls && globalSettings.languageUrls[e]) || `index-${e}.html`
+    }))
+    const baseHTML = translatePage(template, languageStrings[lang], lang, languageLinks)
+
+    const finalHTML = (await inlineScripts(baseHTML)).replace(JSON_PLACEHOLDER, e => e.replace('{}', JSON.stringify(gameData)))
+    pagesHash.update(finalHTML)
+    await writeOutput(`index-${lang}.html`, finalHTML)
+    await writeOutput(`manifest-${lang}.webmanifest`, JSON.stringify(getManifest(languageStrings[lang], lang, icons), null, 2))
+  }
+
+  // The service worker caches everything the builder wrote and its cache changes with the pages
+  for (let icon of icons) await writeOutput(icon.name, icon.data)
+  const cachedFiles = outputFiles.map(e => path.basename(e.path))
+  const serviceWorker = (await readFile(path.join(__dirname, SERVICE_WORKER_FILE), 'utf-8'))
+    .replace(CACHE_NAME_PLACEHOLDER, `const CACHE_NAME = 'mother-game-${pagesHash.digest('hex').slice(0, 16)}'`)
+    .replace(CACHED_FILES_PLACEHOLDER, `const CACHED_FILES = ${JSON.stringify(cachedFiles)}`)
+  await writeOutput(SERVICE_WORKER_FILE, serviceWorker)
 
-    const finalPath = path.resolve(FINAL_HTML_FOLDER, `index-${lang}.html`)
-    const finalHTML = baseHTML.replace(JSON_PLACEHOLDER, e => e.replace('{}', JSON.stringify(gameData)))
-    await writeFile(finalPath, finalHTML)
+  console.log(`Built ${levelCount} levels with ${hintThresholds.length + scheduledHints.length} hint keys${gameRewards.length ? ` and ${gameRewards.length} reward${gameRewards.length === 1 ? '' : 's'}` : ''} in ${((Date.now() - startTime) / 1000).toFixed(1)}s:`)
+  for (let file of outputFiles) {
+    console.log(`  ${path.relative(process.cwd(), file.path)} (${Math.round(file.size / 1024)} KB)`)
   }
 }
 
-async function getHash (imagePath) {
-  let hash = ''
-  const sizeMin = 5
-  const sizeMax = 6
-  const image = await Jimp.read(imagePath)
-  const {width, height} = image.bitmap
-
-  const isLandscape = width > height * 16 / 9
-  const fixedWidth = isLandscape ? height * 16 / 9 : width
-  const fixedHeight = isLandscape ? height : width * 9 / 16
-  const startX = (width - fixedWidth) / 2
-  const startY = (height - fixedHeight) / 2
-  
-  const debugImage = false && image.clone()
-  if (debugImage) drawRetangle(debugImage, startX, startY, fixedWidth, fixedHeight, 0x00FF00FF)
-
-  const rX = fixedWidth / sizeMax
-  const rY = fixedHeight / sizeMax
-  const padding = 0.25
-
-  const grayValues = []
-  for (let y = 0; y < sizeMax; y++) {
-    for (let x = 0; x < sizeMax; x++) {
-      if (x === sizeMax - 1 && y === 0) continue
-
-      let valueSum = 0
-      let pixelCount = 0
-      const minX = Math.floor(startX + Math.max(0, x - padding) * rX)
-      const maxX = Math.ceil(startX + Math.min(sizeMax, x + 1 + padding) * rX)
-      const minY = Math.floor(startY + Math.max(0, y - padding) * rY)
-      const maxY = Math.ceil(startY + Math.min(sizeMax, y + 1 + padding) * rY)
-      
-      if (debugImage) drawRetangle(debugImage, minX, minY, maxX - minX, maxY - minY, 0xFFFFFFFF)
-
-      for (let y2 = minY; y2 < maxY; y2++) {
-        for (let x2 = minX + (y2 % 2); x2 < maxX; x2 += 2) {
-          if (debugImage) debugImage.setPixelColor(0xFF0000FF, x2, y2)
-          const i = (x2 + y2 * width) * 4
-          valueSum += 3 * image.bitmap.data[i] + 5 * image.bitmap.data[i + 1] + image.bitmap.data[i + 2]
-          pixelCount++
+// Rebuilds the game every time a file in the data or template folders changes
+async function watchGame (options) {
+  const watchedPaths = [
+    path.resolve(options.data || DATA_FOLDER),
+    path.resolve(options.templates || BASE_HTML_FOLDER)
+  ]
+  const secretsPath = options.secrets || process.env.GAME_SECRETS_FILE
+  if (secretsPath) watchedPaths.push(path.resolve(secretsPath))
+
+  let isBuilding = false
+  let pendingChange = null
+  let debounceTimer = null
+
+  async function rebuild () {
+    if (isBuilding) return
+    isBuilding = true
+    while (pendingChange !== null) {
+      if (pendingChange) console.log(`\n${pendingChange} changed, rebuilding...`)
+      pendingChange = null
+      await generateGame(options).catch(handleError)
+    }
+    isBuilding = false
+    console.log('Waiting for changes...')
+  }
+
+  // The output folder can be inside a watched folder
+  const outFolder = path.resolve(options.out || FINAL_HTML_FOLDER)
+  const watchers = new Map()
+
+  // fs.watch isn't recursive on every platform, so each folder gets its own watcher, which
+  // includes the reference folders of the levels, like data/3, even the ones added later
+  function watchPath (watchedPath) {
+    if (watchers.has(watchedPath) || isInsideFolder(watchedPath, outFolder)) return
+    const watcher = fs.watch(watchedPath, (eventType, fileName) => {
+      const changedPath = fileName ? path.resolve(watchedPath, fileName) : watchedPath
+      if (isInsideFolder(changedPath, outFolder)) return
+      if (eventType === 'rename') updateFolderWatchers(changedPath)
+
+      clearTimeout(debounceTimer)
+      debounceTimer = setTimeout(() => {
+        pendingChange = path.relative(process.cwd(), changedPath)
+        rebuild()
+      }, WATCH_DEBOUNCE_TIME)
+    })
+    watchers.set(watchedPath, watcher)
+    watcher.on('error', () => {
+      watcher.close()
+      watchers.delete(watchedPath)
+      updateFolderWatchers(watchedPath)
+    })
+
+    if (!fs.statSync(watchedPath).isDirectory()) return
+    for (let entry of fs.readdirSync(watchedPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) watchPath(path.join(watchedPath, entry.name))
+    }
+  }
+
+  // Watches the folders which were added and stops watching the ones which were removed
+  function updateFolderWatchers (changedPath) {
+    try {
+      if (fs.statSync(changedPath).isDirectory()) watchPath(changedPath)
+    } catch (err) {
+      for (let [watchedPath, watcher] of watchers) {
+        if (!isInsideFolder(watchedPath, changedPath)) continue
+        watcher.close()
+        watchers.delete(watchedPath)
+      }
+    }
+  }
+
+  try {
+    for (let watchedPath of watchedPaths) watchPath(watchedPath)
+  } catch (err) {
+    // Missing folders stop the command instead of watching only some of those
+    for (let watcher of watchers.values()) watcher.close()
+    throw err
+  }
+
+  pendingChange = ''
+  await rebuild()
+}
+
+// Whether `filePath` is `folder` or is inside it
+function isInsideFolder (filePath, folder) {
+  const relativePath = path.relative(folder, filePath)
+  return relativePath.split(path.sep)[0] !== '..' && !path.isAbsolute(relativePath)
+}
+
+// Returns the game salt and the level keys. Those should never be stored in the repository,
+// so those can come from an environment variable or a file outside of it.
+async function readSecrets (dataFolder, options, globalSettings) {
+  let secretsData
+  if (process.env.GAME_SECRETS) {
+    secretsData = JSON.parse(process.env.GAME_SECRETS)
+  } else if (options.secrets || process.env.GAME_SECRETS_FILE) {
+    const secretsPath = path.resolve(options.secrets || process.env.GAME_SECRETS_FILE)
+    secretsData = await readJSON(secretsPath)
+    if (!secretsData) throw Error(`Secrets file ${secretsPath} not found`)
+  } else {
+    secretsData = await readJSON(path.join(dataFolder, 'data-keys.json'))
+    // Older games only have the keys in it and the salt in data-global.json
+    if (!secretsData || Array.isArray(secretsData)) {
+      secretsData = { gameRandomSalt: globalSettings.gameRandomSalt, keys: secretsData }
+    }
+  }
+
+  if (!secretsData.gameRandomSalt) throw Error('Missing gameRandomSalt: run script with init')
+  if (!Array.isArray(secretsData.keys)) throw Error('Missing level keys: run script with init')
+  return secretsData
+}
+
+// Returns the settings of a level: the values in the "levels" object of data-global.json,
+// keyed by the level number, override the game wide values. The hash settings are merged
+// with the game wide ones, so a level can change only some of them.
+function getLevelSettings (globalSettings, index) {
+  const levelOverrides = (globalSettings.levels && globalSettings.levels[index + 1]) || {}
+  const levelSettings = Object.assign({
+    tolerance: globalSettings.tolerance || 0,
+    freeHints: globalSettings.freeHints === undefined ? DEFAULT_FREE_HINTS : globalSettings.freeHints
+  }, levelOverrides)
+
+  const { tolerance, freeHints } = levelSettings
+  if (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > matcher.MAX_TOLERANCE) {
+    throw Error(`The tolerance of level ${index + 1} must be an integer between 0 and ${matcher.MAX_TOLERANCE}`)
+  }
+  if (!Number.isInteger(freeHints) || freeHints < 0) throw Error(`The free hints of level ${index + 1} must be a number`)
+
+  levelSettings.hash = getHashOptions(Object.assign({}, globalSettings.hash, levelOverrides.hash), `The hash settings of level ${index + 1}`)
+  levelSettings.kdf = getKdfSettings(Object.assign({}, globalSettings.kdf, levelOverrides.kdf), index)
+  return levelSettings
+}
+
+// Validates the "answer" of a level, which the page shows after the level is solved:
+// {title, episode, timestamp, link, image}, all of them optional. The image is a file
+// relative to the data folder. Returns {answer, image}, with null for the missing ones.
+function getAnswer (levelSettings, index) {
+  const settings = levelSettings.answer
+  if (settings === undefined) return { answer: null, image: null }
+  const name = `The answer of level ${index + 1}`
+  if (!settings || typeof settings !== 'object') throw Error(`${name} must be an object`)
+
+  const answer = {}
+  for (let field of ANSWER_FIELDS) {
+    if (settings[field] === undefined) continue
+    if (typeof settings[field] !== 'string' && typeof settings[field] !== 'number') throw Error(`${name}: the ${field} must be a text`)
+    answer[field] = String(settings[field])
+  }
+  if (answer.link && !/^https?:\/\//.test(answer.link)) throw Error(`${name}: the link must be a http or https URL`)
+  if (settings.image !== undefined && typeof settings.image !== 'string') throw Error(`${name}: the image must be a file name`)
+
+  return { answer: Object.keys(answer).length ? answer : null, image: settings.image || null }
+}
+
+// Reads the answer image of a level as a JPEG, which is made smaller when it's too big
+async function getAnswerImage (imagePath, index) {
+  const image = await Jimp.read(imagePath).catch(() => {
+    throw Error(`Could not read the answer image of level ${index + 1}: ${imagePath}`)
+  })
+  return getScaledJPEG(image, ANSWER_IMAGE_SIZE)
+}
+
+// Returns an image as a JPEG, scaled down to fit `size` if it's larger
+function getScaledJPEG (image, size) {
+  if (image.bitmap.width > size || image.bitmap.height > size) image.scaleToFit(size, size)
+  return new Promise((resolve, reject) => {
+    image.quality(80).getBuffer(Jimp.MIME_JPEG, (err, data) => {
+      if (err) return reject(err)
+      resolve(data)
+    })
+  })
+}
+
+// Returns the hints of a level, from loadHints, as {type, content, mime, keyIndex}, with
+// the content as a Buffer and keyIndex, the hint key which unlocks it, null for free hints.
+// Texts are unlocked by their position: the first `freeHints` are free and each next one
+// uses the next hint key, the ones of the hint thresholds then the scheduled ones.
+async function getLevelHints (levelHints, index, { freeHints, hintThresholds, scheduledCount, dataFolder, lang }) {
+  const keyCount = hintThresholds.length + scheduledCount
+  if (levelHints.length > 256) throw Error(`Level ${index + 1} (${lang}) has more than 256 hints`)
+  const result = []
+
+  for (let j = 0; j < levelHints.length; j++) {
+    const hint = levelHints[j]
+    const name = `Hint ${j + 1} of level ${index + 1} (${lang})`
+    if (typeof hint === 'string') {
+      const keyIndex = j < freeHints ? null : j - freeHints
+      if (keyIndex !== null && keyIndex >= keyCount) {
+        console.log(`  Warning: ${name} was ignored as there are only ${keyCount} hint keys`)
+        continue
+      }
+      result.push({ type: 'text', content: Buffer.from(hint), mime: null, keyIndex })
+      continue
+    }
+
+    let keyIndex = null
+    if (hint.threshold !== undefined) {
+      keyIndex = hintThresholds.indexOf(hint.threshold)
+      if (keyIndex === -1) throw Error(`${name}: ${hint.threshold} is not one of the hint thresholds (${hintThresholds.join(', ')})`)
+    } else if (hint.scheduled !== undefined) {
+      if (hint.scheduled > scheduledCount) throw Error(`${name}: there are only ${scheduledCount} scheduled hints`)
+      keyIndex = hintThresholds.length + hint.scheduled - 1
+    }
+
+    let content = Buffer.from(hint.content)
+    let mime = null
+    if (hint.type === 'image') {
+      content = await getHintImage(path.resolve(dataFolder, hint.content), hint, name)
+      mime = Jimp.MIME_JPEG
+    } else if (hint.type === 'audio') {
+      const audioPath = path.resolve(dataFolder, hint.content)
+      mime = AUDIO_TYPES[path.extname(audioPath).toLowerCase()]
+      if (!mime) throw Error(`${name}: the audio must be one of ${Object.keys(AUDIO_TYPES).join(', ')}`)
+      content = await readFile(audioPath).catch(() => {
+        throw Error(`${name}: could not read ${audioPath}`)
+      })
+      if (content.length > MAX_AUDIO_HINT_SIZE) throw Error(`${name}: ${hint.content} is larger than ${MAX_AUDIO_HINT_SIZE / 1024} KB, use a shorter clip`)
+    }
+    result.push({ type: hint.type, content, mime, keyIndex })
+  }
+
+  return result
+}
+
+// Returns an image hint as a JPEG: the `crop` region of the image, blurred by `blur`
+async function getHintImage (imagePath, hint, name) {
+  const image = await Jimp.read(imagePath).catch(() => {
+    throw Error(`${name}: could not read the image ${imagePath}`)
+  })
+  if (hint.crop) {
+    const [x, y, width, height] = hint.crop
+    if (x + width > image.bitmap.width || y + height > image.bitmap.height) {
+      throw Error(`${name}: the crop is outside the ${image.bitmap.width}x${image.bitmap.height} image`)
+    }
+    image.crop(x, y, width, height)
+  }
+  if (hint.blur) image.blur(hint.blur)
+  return getScaledJPEG(image, HINT_IMAGE_SIZE)
+}
+
+// Reads the "icon" setting, an image from the data folder used as the icon of the
+// installed page. Returns the icons as {name, size, data}, with the PNG data.
+async function getIcons (iconSetting, dataFolder) {
+  if (iconSetting === undefined) {
+    console.log('  Warning: without an "icon" browsers will not offer to install the page')
+    return []
+  }
+  if (typeof iconSetting !== 'string') throw Error('The icon must be an image file')
+  const iconPath = path.resolve(dataFolder, iconSetting)
+  const image = await Jimp.read(iconPath).catch(() => {
+    throw Error(`Could not read the icon: ${iconPath}`)
+  })
+
+  const icons = []
+  for (let size of ICON_SIZES) {
+    const data = await new Promise((resolve, reject) => {
+      image.clone().cover(size, size).getBuffer(Jimp.MIME_PNG, (err, data) => {
+        if (err) return reject(err)
+        resolve(data)
+      })
+    })
+    icons.push({ name: `icon-${size}.png`, size, data })
+  }
+  return icons
+}
+
+// The web app manifest of a page, which makes it installable, with the page colors
+function getManifest (strings, lang, icons) {
+  return {
+    name: strings.title,
+    short_name: strings.title,
+    lang,
+    start_url: `index-${lang}.html`,
+    display: 'standalone',
+    background_color: '#FFC107',
+    theme_color: '#e91e63',
+    icons: icons.map(e => ({ src: e.name, sizes: `${e.size}x${e.size}`, type: 'image/png' }))
+  }
+}
+
+// Reads the "progression" setting: chapters with their levels and requirements, and the
+// requirements of each level, like {"count": 2, "of": "4-7"}. Level lists can be numbers
+// and ranges like "4-7". Returns the progression used by progression.js, with levels as
+// indexes, or null when the game doesn't have one. Chapter names can be translated, as
+// {"pt": "...", "en": "..."}, so those must have all `languages`.
+function getProgression (globalSettings, languages) {
+  const settings = globalSettings.progression
+  if (!settings) return null
+  const { levelCount } = globalSettings
+
+  // Requirements are a rule or a list of rules: {count} or {count, of}
+  const parseRequires = (value, name, ownLevels) => {
+    return [].concat(value || []).map(rule => {
+      const of = rule.of === undefined ? undefined : parseLevelList(rule.of, name, levelCount)
+      const candidates = of ? of.length : levelCount - 1
+      if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > candidates) {
+        throw Error(`${name}: the count must be an integer between 1 and ${candidates}`)
+      }
+      if (of && of.some(e => ownLevels.includes(e))) throw Error(`${name}: it requires ${ownLevels.length === 1 ? 'itself' : 'its own levels'}`)
+      return of ? { count: rule.count, of } : { count: rule.count }
+    })
+  }
+
+  const chapters = (settings.chapters || []).map((chapter, index) => {
+    const name = `Chapter ${index + 1} of the progression`
+    checkTranslatedText(chapter.name, `${name}: the name`, languages)
+    const levels = parseLevelList(chapter.levels, name, levelCount)
+    return { name: chapter.name, levels, requires: parseRequires(chapter.requires, name, levels) }
+  })
+
+  for (let i = 0; i < chapters.length; i++) {
+    for (let j = i + 1; j < chapters.length; j++) {
+      const shared = chapters[i].levels.filter(e => chapters[j].levels.includes(e))
+      if (shared.length) throw Error(`The progression chapters ${i + 1} and ${j + 1} both have the level${shared.length === 1 ? '' : 's'} ${progression.formatLevels(shared)}`)
+    }
+  }
+
+  const levels = []
+  for (let i = 0; i < levelCount; i++) {
+    const levelSettings = (settings.levels && settings.levels[i + 1]) || {}
+    levels.push({ requires: parseRequires(levelSettings.requires, `Level ${i + 1} of the progression`, [i]) })
+  }
+
+  const levelProgression = { chapters, levels }
+  checkProgression(levelProgression)
+  return levelProgression
+}
+
+// Parses a list of level numbers and ranges like "4-7", returning the levels as indexes
+function parseLevelList (value, name, levelCount) {
+  const levels = []
+  for (let part of [].concat(value)) {
+    const match = String(part).match(/^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/)
+    if (!match) throw Error(`${name}: "${part}" is not a level number or a range like "4-7"`)
+    const start = Number(match[1])
+    const end = Number(match[2] || match[1])
+    if (start < 1 || end > levelCount || start > end) throw Error(`${name}: "${part}" is outside the levels 1-${levelCount}`)
+    for (let level = start; level <= end; level++) {
+      if (!levels.includes(level - 1)) levels.push(level - 1)
+    }
+  }
+  return levels
+}
+
+// Texts from data-global.json can be translated, as {"pt": "...", "en": "..."}, so
+// those must have all `languages`
+function checkTranslatedText (text, name, languages) {
+  const isTranslated = text && typeof text === 'object'
+  if (isTranslated ? !languages.every(e => typeof text[e] === 'string') : typeof text !== 'string') {
+    throw Error(`${name} must be a text or have the texts of ${languages.join(', ')}`)
+  }
+}
+
+function translateText (text, lang) {
+  return typeof text === 'object' ? text[lang] : text
+}
+
+// Throws an error when some level can never be opened, showing the levels which
+// depend on each other when that is the reason
+function checkProgression (levelProgression) {
+  const allLevels = levelProgression.levels.map((e, i) => i)
+  const reachable = progression.getCountedLevels(levelProgression, allLevels)
+  const unreachable = allLevels.filter(e => !reachable.has(e))
+  if (unreachable.length === 0) return
+
+  // Depth first search for a cycle between the levels which can't be opened
+  const getDependencies = index => [].concat(...progression.getRules(levelProgression, index).map(rule => rule.of || allLevels))
+    .filter(e => e !== index && unreachable.includes(e))
+  const visited = new Set()
+  const findCycle = (index, path) => {
+    if (path.includes(index)) return path.slice(path.indexOf(index)).concat(index)
+    if (visited.has(index)) return null
+    visited.add(index)
+    for (let dependency of getDependencies(index)) {
+      const cycle = findCycle(dependency, path.concat(index))
+      if (cycle) return cycle
+    }
+    return null
+  }
+
+  let message = `The level${unreachable.length === 1 ? '' : 's'} ${progression.formatLevels(unreachable)} can never be opened`
+  for (let index of unreachable) {
+    const cycle = findCycle(index, [])
+    if (cycle) {
+      message += `: the levels ${cycle.map(e => e + 1).join(' -> ')} depend on each other`
+      break
+    }
+  }
+  throw Error(message)
+}
+
+// Returns the progression of a page, with the chapter names of its language
+function translateProgression (levelProgression, lang) {
+  return Object.assign({}, levelProgression, {
+    chapters: levelProgression.chapters.map(chapter => Object.assign({}, chapter, {
+      name: translateText(chapter.name, lang)
+    }))
+  })
+}
+
+// Reads the "scheduledHints" setting: the times when the publish-hints command releases
+// each scheduled hint key, as dates like "2020-05-12T12:00:00-03:00". Returns the times
+// as timestamps.
+// Reads the "hintThresholds" setting: each hint key is shared between all the levels and
+// unlocked by solving that number of them, so it can't be more than the level count
+function getHintThresholds (globalSettings) {
+  const { hintThresholds, levelCount } = globalSettings
+  if (!Array.isArray(hintThresholds)) throw Error('The hint thresholds must be a list of level counts')
+  for (const threshold of hintThresholds) {
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > levelCount) {
+      throw Error(`The hint threshold ${threshold} must be an integer between 2 and ${levelCount}`)
+    }
+  }
+  return hintThresholds
+}
+
+function getScheduledHints (globalSettings) {
+  const settings = globalSettings.scheduledHints || []
+  if (!Array.isArray(settings)) throw Error('The scheduled hints must be a list of dates')
+  return settings.map((time, i) => {
+    const timestamp = typeof time === 'string' ? Date.parse(time) : NaN
+    if (Number.isNaN(timestamp)) throw Error(`Scheduled hint ${i + 1}: "${time}" is not a date like "2020-05-12T12:00:00-03:00"`)
+    return timestamp
+  })
+}
+
+async function getScheduledHintKey (gameRandomSalt, index) {
+  const keyArrayBuffer = await crypto.subtle.digest({name: 'SHA-512'}, Buffer.from(gameRandomSalt + '-scheduled-' + index))
+  return Buffer.from(keyArrayBuffer).slice(0, 16)
+}
+
+// Reads the "rewards" setting: rewards unlocked by solving `threshold` levels or all the
+// `levels` of a list, with a name, a message, an image from the data folder and a
+// certificate, all of them optional but the name. Names and messages can be translated.
+// Returns the rewards with levels as indexes and the image as a data URL.
+async function getRewards (globalSettings, languages, dataFolder) {
+  const settings = globalSettings.rewards || []
+  const { levelCount } = globalSettings
+  if (!Array.isArray(settings)) throw Error('The rewards must be a list')
+  // The payloads store the reward index in a byte
+  if (settings.length > 256) throw Error('A game can have at most 256 rewards')
+
+  const gameRewards = []
+  for (let i = 0; i < settings.length; i++) {
+    const reward = settings[i]
+    const name = `Reward ${i + 1}`
+    checkTranslatedText(reward.name, `${name}: the name`, languages)
+    if (reward.message !== undefined) checkTranslatedText(reward.message, `${name}: the message`, languages)
+    if ((reward.threshold === undefined) === (reward.levels === undefined)) throw Error(`${name}: set either a threshold or the levels`)
+
+    // The keys are split between at least two levels, as the hint keys
+    const levels = reward.levels === undefined ? null : parseLevelList(reward.levels, name, levelCount)
+    if (levels && levels.length < 2) throw Error(`${name}: it needs at least two levels`)
+    if (!levels && (!Number.isInteger(reward.threshold) || reward.threshold < 2 || reward.threshold > levelCount)) {
+      throw Error(`${name}: the threshold must be an integer between 2 and ${levelCount}`)
+    }
+
+    let image = null
+    if (reward.image !== undefined) {
+      const mimeType = IMAGE_TYPES[path.extname(String(reward.image)).toLowerCase()]
+      if (!mimeType) throw Error(`${name}: the image must be one of ${Object.keys(IMAGE_TYPES).join(', ')}`)
+      const imageData = await readFile(path.resolve(dataFolder, reward.image)).catch(() => {
+        throw Error(`${name}: could not read ${reward.image}`)
+      })
+      image = `data:${mimeType};base64,${imageData.toString('base64')}`
+    }
+
+    gameRewards.push({
+      name: reward.name,
+      message: reward.message,
+      threshold: levels ? levels.length : reward.threshold,
+      levels,
+      image,
+      certificate: Boolean(reward.certificate)
+    })
+  }
+  return gameRewards
+}
+
+// Derives the certificate key of a reward from the game salt, so certificates signed in
+// older builds of the game can still be checked. Returns the private key as a JWK and
+// the public key as SPKI.
+async function getCertificateKey (gameRandomSalt, index) {
+  const seedArrayBuffer = await crypto.subtle.digest({name: 'SHA-256'}, Buffer.from(gameRandomSalt + '-certificate-' + index))
+  const ecdh = createECDH('prime256v1')
+  ecdh.setPrivateKey(Buffer.from(seedArrayBuffer))
+  // The uncompressed point: a 0x04 byte, then the coordinates
+  const point = ecdh.getPublicKey()
+  const publicKeyJWK = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: point.slice(1, 33).toString('base64url'),
+    y: point.slice(33).toString('base64url'),
+    ext: true
+  }
+
+  const publicKey = await crypto.subtle.importKey('jwk', publicKeyJWK, {
+    name: 'ECDSA',
+    namedCurve: 'P-256'
+  }, true, ['verify'])
+  return {
+    privateKey: Object.assign({}, publicKeyJWK, { d: ecdh.getPrivateKey().toString('base64url'), key_ops: ['sign'] }),
+    publicKey: Buffer.from(await crypto.subtle.exportKey('spki', publicKey))
+  }
+}
+
+// Validates the key derivation settings (see matcher.js), keeping only the used values
+function getKdfSettings (settings, index) {
+  const kdf = { version: settings.version || 1 }
+  if (!matcher.KDF_VERSIONS[kdf.version]) {
+    throw Error(`The kdf version of level ${index + 1} must be one of ${Object.keys(matcher.KDF_VERSIONS).join(', ')}`)
+  }
+  if (!matcher.KDF_VERSIONS[kdf.version].fixedIterations) {
+    kdf.iterations = settings.iterations
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1000) {
+      throw Error(`The kdf iterations of level ${index + 1} must be an integer of at least 1000`)
+    }
+  }
+  return kdf
+}
+
+// Fills the hash settings (see dhash.js) with the default values and validates them
+function getHashOptions (settings, name) {
+  const options = dhash.getOptions(settings)
+  const { sizeMin, sizeMax, padding, weights, mask } = options
+
+  if (!Number.isInteger(sizeMin) || sizeMin < 1) throw Error(`${name}: sizeMin must be a positive integer`)
+  if (!Number.isInteger(sizeMax) || sizeMax <= sizeMin) throw Error(`${name}: sizeMax must be an integer bigger than sizeMin`)
+  if (typeof padding !== 'number' || !(padding >= 0 && padding <= 1)) throw Error(`${name}: padding must be a number between 0 and 1`)
+  if (!Array.isArray(weights) || weights.length !== 3 || weights.some(e => typeof e !== 'number' || !(e >= 0)) || weights[0] + weights[1] + weights[2] === 0) {
+    throw Error(`${name}: weights must be a list with the red, green and blue weights`)
+  }
+  if (!Array.isArray(mask)) throw Error(`${name}: mask must be a list of [x, y] cells`)
+  for (let cell of mask) {
+    if (!Array.isArray(cell) || cell.length !== 2 || !cell.every(e => Number.isInteger(e) && e >= 0 && e < sizeMax)) {
+      throw Error(`${name}: the mask cell ${JSON.stringify(cell)} is outside the ${sizeMax}x${sizeMax} grid`)
+    }
+  }
+
+  return options
+}
+
+// Returns the reference images of a level: the ones listed in its "references" setting
+// (relative to the data folder), or <n>.png plus the images inside the <n> folder
+async function getReferencePaths (dataFolder, index, levelSettings) {
+  if (levelSettings.references) {
+    return levelSettings.references.map(e => path.resolve(dataFolder, e))
+  }
+
+  const referencePaths = []
+  const imagePath = path.resolve(dataFolder, `${index + 1}.png`)
+  if (fs.existsSync(imagePath)) referencePaths.push(imagePath)
+
+  const folderPath = path.resolve(dataFolder, `${index + 1}`)
+  const folderFiles = await readdir(folderPath).catch(() => [])
+  for (let fileName of folderFiles.sort()) {
+    if (/\.(png|jpe?g|bmp)$/i.test(fileName)) referencePaths.push(path.join(folderPath, fileName))
+  }
+
+  if (referencePaths.length === 0) throw Error(`Missing reference image for level ${index + 1}: add ${index + 1}.png or images inside a ${index + 1} folder`)
+  return referencePaths
+}
+
+// Returns warnings about references that are identical to other references of the same level
+// or close enough to references of other levels that a single image could unlock both
+function checkReferenceDistances (levelReferences) {
+  const warnings = []
+
+  for (let i = 0; i < levelReferences.length; i++) {
+    const { references, tolerance } = levelReferences[i]
+    for (let a = 0; a < references.length; a++) {
+      for (let b = a + 1; b < references.length; b++) {
+        if (getMinDistance(references[a].bits, references[b].bits) === 0) {
+          warnings.push(`level ${i + 1} references ${references[a].name} and ${references[b].name} have the same hash`)
         }
       }
 
-      grayValues[x + y * sizeMax] = valueSum / pixelCount
+      for (let j = i + 1; j < levelReferences.length; j++) {
+        const otherLevel = levelReferences[j]
+        for (let otherReference of otherLevel.references) {
+          const distance = getMinDistance(references[a].bits, otherReference.bits)
+          if (distance <= tolerance + otherLevel.tolerance + MIN_REFERENCE_DISTANCE) {
+            warnings.push(`${references[a].name} (level ${i + 1}) and ${otherReference.name} (level ${j + 1}) are only ${distance} bits apart`)
+          }
+        }
+      }
+    }
+  }
+
+  return warnings
+}
+
+// Returns the smallest distance between two lists of hashes. Hashes with different
+// lengths come from different hash settings, so they are never close.
+function getMinDistance (hashesA, hashesB) {
+  let minDistance = Infinity
+  for (let bitsA of hashesA) {
+    for (let bitsB of hashesB) {
+      if (bitsA.length === bitsB.length) minDistance = Math.min(minDistance, matcher.getDistance(bitsA, bitsB))
+    }
+  }
+  return minDistance
+}
+
+// Returns the hashes of the crops of an image where the video can be
+async function getCropBits (imagePath, hashOptions) {
+  const image = await Jimp.read(imagePath)
+  const { data, width, height } = image.bitmap
+  return dhash.computeCropBits(data, width, height, hashOptions)
+}
+
+// Replaces the <script data-inline="file.js"></script> tags in the base HTML
+// with the contents of the shared modules, like dhash.js. Other attributes are
+// kept, so the page can read the code of a module from its tag (see image-worker.js).
+async function inlineScripts (html) {
+  const scriptRegex = /<script([^>]*?) data-inline="([\w.-]+)"([^>]*)><\/script>/g
+  const fileNames = Array.from(html.matchAll(scriptRegex), e => e[2])
+  const contents = {}
+  for (let fileName of fileNames) {
+    contents[fileName] = await readFile(path.join(__dirname, fileName), 'utf-8')
+  }
+  return html.replace(scriptRegex, (match, before, fileName, after) => `<script${before}${after}>\n${contents[fileName]}</script>`)
+}
+
+// Checks an image against a level of a generated game in the same way the page does,
+// so organizers get the same result players get
+async function checkImage (options) {
+  const levelIndex = Number(options.level) - 1
+  if (typeof options.image !== 'string' || !(levelIndex >= 0)) throw Error('Usage: check-image --image <file> --level <number>')
+
+  const gameData = await readGameData(options)
+  const levelInfo = gameData.levels[levelIndex]
+  if (!levelInfo) throw Error(`There is no level ${levelIndex + 1} in the generated game`)
+
+  const hashOptions = levelInfo.hash || gameData.hash
+  const cropBits = await getCropBits(options.image, hashOptions)
+  const levelKey = await matcher.findLevelKey(crypto.subtle, cropBits, matcher.parseLevel(levelInfo, e => Buffer.from(e, 'base64')))
+
+  console.log(`Image hashes: ${cropBits.join(', ')}`)
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (globalSettings) {
+    const referencePaths = await getReferencePaths(dataFolder, levelIndex, getLevelSettings(globalSettings, levelIndex))
+    for (let referencePath of referencePaths) {
+      const distance = getMinDistance(cropBits, await getCropBits(referencePath, hashOptions))
+      console.log(`Distance to ${path.relative(dataFolder, referencePath)}: ${distance} (tolerance: ${levelInfo.tolerance || 0})`)
+    }
+  }
+  console.log(levelKey ? `Accepted: the image unlocks level ${levelIndex + 1}` : `Rejected: the image does not unlock level ${levelIndex + 1}`)
+}
+
+// Checks that a generated game can be finished, following the path of a player with the
+// reference images of the data folder: each level must be unlocked by its references, its
+// payload must be decrypted and its signing key must match its public key. Then the hint
+// keys are combined from the shares of the first levels, exactly as many as each hint
+// threshold needs, and those must decrypt every hint of every language. The reward keys
+// are combined in the same way and must decrypt the rewards and their certificate keys.
+// The scheduled hint keys are derived from the game secrets, when those are available.
+async function verifyGame (options) {
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (!globalSettings) throw Error(`There is no data-global.json in ${dataFolder}`)
+  const languages = typeof options.lang === 'string' ? options.lang.split(',') : globalSettings.languages
+
+  const languageData = {}
+  for (let lang of languages) languageData[lang] = await readGameData(options, lang)
+  const gameData = languageData[languages[0]]
+  const decodeBase64 = e => new Uint8Array(Buffer.from(e, 'base64'))
+  let failures = 0
+
+  // The levels are the same in every language, only the hints change
+  const getLevels = data => JSON.stringify(data.levels.map(e => Object.assign({}, e, { hints: null })))
+  for (let lang of languages.slice(1)) {
+    if (getLevels(languageData[lang]) !== getLevels(gameData)) {
+      throw Error(`The levels of index-${lang}.html are not the same of index-${languages[0]}.html: build all languages together`)
+    }
+  }
+
+  const levelRows = [['Level', 'References', 'Payload', 'Signature']]
+  const levelPayloads = []
+  const problems = []
+  for (let i = 0; i < gameData.levels.length; i++) {
+    const levelInfo = gameData.levels[i]
+    const hashOptions = levelInfo.hash || gameData.hash
+    const level = matcher.parseLevel(levelInfo, decodeBase64)
+    const referencePaths = await getReferencePaths(dataFolder, i, getLevelSettings(globalSettings, i))
+
+    // Every reference must unlock the level, but one is enough to check the rest
+    let levelKey = null
+    let referencesPassed = true
+    for (let referencePath of referencePaths) {
+      const referenceKey = await matcher.findLevelKey(crypto.subtle, await getCropBits(referencePath, hashOptions), level)
+      if (!referenceKey) {
+        problems.push(`level ${i + 1}: ${path.relative(dataFolder, referencePath)} does not unlock the level`)
+        referencesPassed = false
+      }
+      if (!levelKey) levelKey = referenceKey
+    }
+
+    const levelPayload = levelKey && await decryptPayload(levelInfo, levelKey, gameData.hintThresholds.length)
+    if (levelKey && !levelPayload) problems.push(`level ${i + 1}: the payload could not be decrypted with the level key`)
+    levelPayloads.push(levelPayload)
+
+    const signaturePassed = levelPayload && await checkSigningKey(levelPayload.signingKey, decodeBase64(levelInfo.publicKey), i)
+    if (levelPayload && !signaturePassed) problems.push(`level ${i + 1}: the signing key does not match the public key`)
+
+    const results = [referencesPassed, levelKey ? !!levelPayload : null, levelPayload ? signaturePassed : null]
+    if (results.some(e => e === false || e === null)) failures++
+    levelRows.push([i + 1].concat(results.map(formatResult)))
+  }
+
+  const hintRows = [['Hint key', 'Shares'].concat(languages)]
+  for (let i = 0; i < gameData.hintThresholds.length; i++) {
+    const threshold = gameData.hintThresholds[i]
+    // A player gets the shares of the levels in the order those are unlocked
+    const shares = levelPayloads.slice(0, threshold).filter(e => e).map(e => e.shares[i])
+    if (shares.length < threshold) problems.push(`hint key ${i + 1}: there are only ${shares.length} levels with shares, but it needs ${threshold}`)
+
+    const hintKey = shares.length === threshold ? secrets.combine(shares) : null
+    const results = []
+    for (let lang of languages) {
+      const missingHints = hintKey ? await getUndecryptedHints(languageData[lang], i, hintKey) : null
+      if (missingHints && missingHints.length) {
+        problems.push(`hint key ${i + 1} (${lang}): could not decrypt the hints of level${missingHints.length === 1 ? '' : 's'} ${missingHints.join(', ')}`)
+      }
+      results.push(missingHints ? missingHints.length === 0 : null)
     }
+
+    if (results.some(e => e !== true)) failures++
+    hintRows.push([i + 1, `${shares.length}/${threshold}`].concat(results.map(formatResult)))
   }
-  
-  if (debugImage) debugImage.write(path.join('test', 'debug', path.basename(imagePath)))
 
-  for (let y = 0; y < sizeMin; y++) {
-    for (let x = 0; x < sizeMin; x++) {
-      const pixelA = grayValues[x + (y + 1) * sizeMax]
-      const pixelB = grayValues[x + 1 + (y + 1) * sizeMax]
-      hash += pixelA < pixelB ? 1 : 0
+  // The scheduled hint keys aren't in the page, so those are only checked with the secrets
+  const scheduledHints = gameData.scheduledHints || []
+  const secretsData = scheduledHints.length ? await readSecrets(dataFolder, options, globalSettings).catch(() => null) : null
+  if (scheduledHints.length && !secretsData) console.log('The scheduled hints were not checked as the game secrets are missing\n')
+  for (let i = 0; i < (secretsData ? scheduledHints.length : 0); i++) {
+    const hintKey = await getScheduledHintKey(secretsData.gameRandomSalt, i)
+    const keyHash = Buffer.from(await crypto.subtle.digest({name: 'SHA-256'}, hintKey)).toString('base64')
+    if (keyHash !== scheduledHints[i].keyHash) problems.push(`scheduled hint key ${i + 1}: the key does not match the game secrets`)
+
+    const results = []
+    for (let lang of languages) {
+      const missingHints = keyHash === scheduledHints[i].keyHash ? await getUndecryptedHints(languageData[lang], gameData.hintThresholds.length + i, hintKey) : null
+      if (missingHints && missingHints.length) {
+        problems.push(`scheduled hint key ${i + 1} (${lang}): could not decrypt the hints of level${missingHints.length === 1 ? '' : 's'} ${missingHints.join(', ')}`)
+      }
+      results.push(missingHints ? missingHints.length === 0 : null)
     }
+
+    if (results.some(e => e !== true)) failures++
+    hintRows.push([`${gameData.hintThresholds.length + i + 1}`, 'scheduled'].concat(results.map(formatResult)))
   }
 
-  for (let x = 0; x < sizeMin; x++) {
-    for (let y = 0; y < sizeMin; y++) {
-      const pixelA = grayValues[x + y * sizeMax]
-      const pixelB = grayValues[x + (y + 1) * sizeMax]
-      hash += pixelA < pixelB ? 1 : 0
+  const rewardRows = [['Reward', 'Shares'].concat(languages)]
+  const rewardList = gameData.rewards || []
+  for (let i = 0; i < rewardList.length; i++) {
+    const reward = rewardList[i]
+    const shares = rewards.getRewardShares(reward, i, levelPayloads.filter(e => e))
+    if (!shares) problems.push(`reward ${i + 1}: the levels don't have the ${reward.threshold} shares it needs`)
+
+    const rewardKey = shares ? secrets.combine(shares) : null
+    const results = []
+    for (let lang of languages) {
+      const content = rewardKey && await rewards.decryptReward(crypto.subtle, languageData[lang].rewards[i], rewardKey, decodeBase64).catch(() => null)
+      if (rewardKey && !content) problems.push(`reward ${i + 1} (${lang}): could not decrypt the reward`)
+      const certificatePassed = !content || !content.certificateKey ||
+        await checkCertificateKey(content.certificateKey, decodeBase64(languageData[lang].rewards[i].publicKey), i)
+      if (!certificatePassed) problems.push(`reward ${i + 1} (${lang}): the certificate key does not match the public key`)
+      results.push(rewardKey ? !!content && certificatePassed : null)
     }
+
+    if (results.some(e => e !== true)) failures++
+    rewardRows.push([i + 1, `${shares ? shares.length : 0}/${reward.threshold}`].concat(results.map(formatResult)))
   }
 
-  return bin2arr(hash)
+  console.log(`Verified ${gameData.levels.length} levels of ${languages.map(e => `index-${e}.html`).join(', ')}\n`)
+  console.log(formatTable(levelRows))
+  if (hintRows.length > 1) console.log(`\n${formatTable(hintRows)}`)
+  if (rewardRows.length > 1) console.log(`\n${formatTable(rewardRows)}`)
+  if (problems.length) console.log(`\n${problems.join('\n')}`)
+
+  const checkCount = levelRows.length + hintRows.length + rewardRows.length - 3
+  if (failures) throw Error(`${failures} of ${checkCount} levels, hint keys and rewards failed the verification`)
+  console.log('\nThe game can be finished')
 }
 
-function drawRetangle (canvas, x, y, width, height, color) {
-  function iterator (x, y) { 
-    canvas.setPixelColor(color, x, y)
+// Decrypts the payload of a level in the same way the page does, returning null if it fails
+async function decryptPayload (levelInfo, levelKey, shareCount) {
+  try {
+    const data = Buffer.from(levelInfo.data, 'base64')
+    const wrappedKey = await crypto.subtle.importKey('raw', levelKey, {name: 'AES-GCM'}, false, ['decrypt'])
+    const decryptedData = await crypto.subtle.decrypt({
+      name: 'AES-GCM',
+      iv: data.slice(0, 16)
+    }, wrappedKey, data.slice(16))
+    const levelPayload = payload.decodePayload(new Uint8Array(decryptedData), shareCount)
+    return levelPayload.shares.length === shareCount ? levelPayload : null
+  } catch (e) {
+    return null
   }
+}
+
+// Signs a ranking entry with the signing key of a level and checks it with the level
+// public key using the same rules of the ranking (see ranking.js)
+async function checkSigningKey (signingKey, publicKey, levelIndex) {
+  try {
+    const privateKey = await crypto.subtle.importKey('jwk', JSON.parse(Buffer.from(signingKey).toString()), {
+      name: 'ECDSA',
+      namedCurve: 'P-256'
+    }, false, ['sign'])
+    const nick = 'verify'
+    const signature = await crypto.subtle.sign({
+      name: 'ECDSA',
+      hash: {name: 'SHA-256'}
+    }, privateKey, ranking.getLevelMessage(nick))
 
-  canvas.scan(x, y , width, 1, iterator)
-  canvas.scan(x, y, 1, height, iterator)
-  canvas.scan(x, y + height, width, 1, iterator)
-  canvas.scan(x + width, y, 1, height, iterator)
+    return ranking.verifyEntry(crypto.subtle, e => new Uint8Array(Buffer.from(e, 'base64')), {
+      levelPublicKey: publicKey,
+      nick,
+      level: levelIndex,
+      entry: { signature: Buffer.from(signature).toString('base64') }
+    })
+  } catch (e) {
+    return false
+  }
 }
 
-function bin2arr (str) {
-  const result = []
-  const len = Math.ceil(str.length / 8)
-  str = str.padEnd(len * 8, 0)
-  for (let i = 0; i < len; i++) result[i] = parseInt(str.substr(i * 8, 8), 2)
-  return new Uint8Array(result)
+// Signs a certificate with the certificate key of a reward and checks it with the reward
+// public key, as the check-certificate command does
+async function checkCertificateKey (certificateKey, publicKey, rewardIndex) {
+  try {
+    const privateKey = await crypto.subtle.importKey('jwk', certificateKey, {
+      name: 'ECDSA',
+      namedCurve: 'P-256'
+    }, false, ['sign'])
+    const message = rewards.getCertificateMessage('verify', rewardIndex)
+    const signature = await crypto.subtle.sign({
+      name: 'ECDSA',
+      hash: {name: 'SHA-256'}
+    }, privateKey, message)
+    return verifyCertificate(publicKey, message, signature)
+  } catch (e) {
+    return false
+  }
+}
+
+// Returns the numbers of the levels whose hints from a hint key can't be decrypted
+async function getUndecryptedHints (gameData, keyIndex, hintKey) {
+  const decodeBase64 = e => new Uint8Array(Buffer.from(e, 'base64'))
+  const hintSalt = decodeBase64(gameData.hintSalt)
+  const missingHints = []
+
+  for (let i = 0; i < gameData.levels.length; i++) {
+    const levelInfo = gameData.levels[i]
+    const levelSalt = decodeBase64(levelInfo.data).slice(0, 16)
+
+    for (let j = 0; j < levelInfo.hints.length; j++) {
+      const hint = levelInfo.hints[j]
+      // Free text hints are texts and other free hints don't have a key
+      if (typeof hint === 'string' || hint.key !== keyIndex) continue
+
+      const iv = hintContent.getHintIV(hintSalt, levelSalt, j)
+      const decryptedHint = await hintContent.decryptHint(crypto.subtle, hint, Buffer.from(hintKey), iv, decodeBase64).catch(() => null)
+      if (!decryptedHint || decryptedHint.length === 0) {
+        missingHints.push(i + 1)
+        break
+      }
+    }
+  }
+
+  return missingHints
+}
+
+// PASS and FAIL, or a dash for checks which were skipped because an earlier one failed
+function formatResult (result) {
+  return result === null ? '-' : result ? 'PASS' : 'FAIL'
+}
+
+// Aligns the columns of a table given as a list of rows
+function formatTable (rows) {
+  const widths = rows[0].map((e, i) => Math.max(...rows.map(row => String(row[i]).length)))
+  return rows.map(row => row.map((e, i) => String(e).padEnd(widths[i])).join('  ').trimEnd()).join('\n')
+}
+
+// Returns the game data JSON of a generated page. The language is the first one
+// of --lang (or Portuguese) when not given.
+async function readGameData (options, lang) {
+  const outFolder = path.resolve(options.out || FINAL_HTML_FOLDER)
+  if (!lang) lang = typeof options.lang === 'string' ? options.lang.split(',')[0] : 'pt'
+  const htmlPath = path.join(outFolder, `index-${lang}.html`)
+  const html = await readFile(htmlPath, 'utf-8').catch(() => {
+    throw Error(`Could not read ${htmlPath}: build the game first`)
+  })
+  const match = html.match(/<script id="game-data" type="application\/json">([^]*?)<\/script>/)
+  return JSON.parse(match[1])
+}
+
+// Writes a page which checks the dHash implementation against the golden vectors in
+// dhash-vectors.json in a browser: npm test checks them in Node.
+async function checkHash (options) {
+  if (typeof options.html !== 'string') throw Error('Usage: check-hash --html <file>')
+  const vectors = await readJSON(path.join(__dirname, 'dhash-vectors.json'))
+  const html = await inlineScripts(`<!doctype html>
+<meta charset="utf-8">
+<title>dHash check</title>
+<pre id="result"></pre>
+<script data-inline="dhash.js"></script>
+<script>{
+const vectors = ${JSON.stringify(vectors)}
+const lines = vectors.map(vector => {
+  const pixels = Uint8ClampedArray.from(atob(vector.pixels), e => e.charCodeAt(0))
+  const bits = dhash.computeBits(pixels, vector.width, vector.height, null, vector.options)
+  return (bits === vector.hash ? 'PASS ' : 'FAIL ') + vector.name
+})
+document.getElementById('result').textContent = lines.join('\\n')
+}</script>
+`)
+  await writeFile(options.html, html)
+  console.log(`Browser check written to ${options.html}`)
+}
+
+// Hashes changed copies of the reference images (see robustness.js) and reports which
+// levels would reject common screenshots. The HTML report is written to --html or
+// robustness-report.html: it shows the reference images, so don't publish it.
+async function checkRobustness (options) {
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (!globalSettings) throw Error(`There is no data-global.json in ${dataFolder}`)
+
+  const levels = []
+  for (let i = 0; i < globalSettings.levelCount; i++) {
+    const levelSettings = getLevelSettings(globalSettings, i)
+    levels.push({
+      tolerance: levelSettings.tolerance,
+      hashOptions: levelSettings.hash,
+      references: await getReferencePaths(dataFolder, i, levelSettings)
+    })
+  }
+
+  // With --level only that level is changed, but it's still compared to the other levels
+  const levelIndex = Number(options.level) - 1
+  if (options.level !== undefined && !levels[levelIndex]) throw Error(`There is no level ${options.level} in the game`)
+  const report = await getRobustnessReport(levels, level => {
+    console.log(`Checking level ${level}/${levels.length}`)
+  }, options.level !== undefined ? levelIndex : null)
+
+  const getName = e => path.relative(dataFolder, e)
+  console.log(formatRobustnessSummary(report, getName).join('\n'))
+  const htmlPath = path.resolve(typeof options.html === 'string' ? options.html : 'robustness-report.html')
+  await writeFile(htmlPath, formatRobustnessHTML(report, getName))
+  console.log(`HTML report written to ${htmlPath}`)
+}
+
+// Publishes the keys of the scheduled hints whose time arrived to the ranking server, where
+// the pages download those from releasedHints.json. The keys are written with the token from
+// --token or RANK_RELEASE_TOKEN: a Firebase database secret or the --release-token of
+// rank-server.js. With --watch it waits for the next times until every key is published.
+async function publishHints (options) {
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (!globalSettings) throw Error(`There is no data-global.json in ${dataFolder}`)
+  const { gameRandomSalt } = await readSecrets(dataFolder, options, globalSettings)
+  const scheduledHints = getScheduledHints(globalSettings)
+  if (!scheduledHints.length) throw Error('The game has no "scheduledHints" in data-global.json')
+
+  const rankEndpoint = (options['rank-endpoint'] || globalSettings.rankEndpoint || DEFAULT_RANK_ENDPOINT).replace(/\/*$/, '/')
+  const token = typeof options.token === 'string' ? options.token : process.env.RANK_RELEASE_TOKEN
+  if (!token) throw Error('Missing the token: use --token or the RANK_RELEASE_TOKEN environment variable')
+
+  const published = new Set()
+  while (true) {
+    for (let i = 0; i < scheduledHints.length; i++) {
+      if (published.has(i) || scheduledHints[i] > Date.now()) continue
+      const key = await getScheduledHintKey(gameRandomSalt, i)
+      const response = await fetch(`${rankEndpoint}releasedHints/${i}.json?auth=${encodeURIComponent(token)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ key: key.toString('base64'), time: scheduledHints[i] })
+      }).catch(err => ({ ok: false, status: err.message }))
+      if (!response.ok) throw Error(`Could not publish the scheduled hint ${i + 1} to ${rankEndpoint}: ${response.status}`)
+      published.add(i)
+      console.log(`Published the scheduled hint ${i + 1} of ${new Date(scheduledHints[i]).toISOString()}`)
+    }
+
+    const pending = scheduledHints.filter((e, i) => !published.has(i))
+    if (!pending.length) {
+      console.log('All the scheduled hints were published')
+      return
+    }
+    const nextTime = new Date(Math.min(...pending))
+    console.log(`${pending.length} scheduled hint${pending.length === 1 ? '' : 's'} to publish, the next one at ${nextTime.toISOString()}`)
+    if (!options.watch) return
+    // Long waits are split as timers can't wait more than 24 days
+    await new Promise(resolve => setTimeout(resolve, Math.min(nextTime - Date.now(), MAX_PUBLISH_WAIT)))
+  }
+}
+
+// Checks the certificate signature of a player (see rewards.js) with the reward public
+// keys of the generated page, trying every reward with certificates when --reward isn't given.
+// It only shows that the signature was made by someone who unlocked the reward.
+async function checkCertificate (options) {
+  if (typeof options.nick !== 'string' || typeof options.signature !== 'string') {
+    throw Error('Usage: check-certificate --nick <nickname> --signature <code> [--reward <number>]')
+  }
+  const gameData = await readGameData(options)
+  const rewardList = gameData.rewards || []
+  const indexes = options.reward === undefined ? rewardList.map((e, i) => i) : [Number(options.reward) - 1]
+  if (!indexes.every(i => rewardList[i])) throw Error(`There is no reward ${options.reward} in the game`)
+
+  const signature = Buffer.from(options.signature.replace(/\s/g, ''), 'base64')
+  for (let i of indexes.filter(e => rewardList[e].publicKey)) {
+    const message = rewards.getCertificateMessage(options.nick, i)
+    if (await verifyCertificate(Buffer.from(rewardList[i].publicKey, 'base64'), message, signature).catch(() => false)) {
+      console.log(`The certificate of ${options.nick} for "${rewardList[i].name}" (reward ${i + 1}) was signed with the reward key: check the levels of ${options.nick} in the ranking to confirm it`)
+      return
+    }
+  }
+  throw Error(`The certificate of ${options.nick} is not valid`)
 }
 
-async function generateKeys () {
-  const keyCount = Number(process.argv[3]) || 30
+// Checks a certificate signature with the public key of its reward
+async function verifyCertificate (publicKey, message, signature) {
+  const key = await crypto.subtle.importKey('spki', publicKey, {
+    name: 'ECDSA',
+    namedCurve: 'P-256'
+  }, false, ['verify'])
+  return crypto.subtle.verify({
+    name: 'ECDSA',
+    hash: {name: 'SHA-256'}
+  }, key, signature, message)
+}
+
+// Starts the ranking server (see rank-server.js). It accepts the levels of the game
+// in the data folder, or 30 levels like firebase-rules.json if there is no game there.
+// With --leaderboard the levels, their public keys and the unlocked level count are
+// read from the generated game instead, so the server doesn't need the game secrets.
+async function startRankServer (options) {
+  const port = Number(options.port) || DEFAULT_RANK_PORT
+  const dataPath = path.resolve(typeof options.db === 'string' ? options.db : 'ranking.json')
+  let levelCount
+  let playerKeys
+  let leaderboard = null
+
+  if (options.leaderboard) {
+    const gameData = await readGameData(options)
+    levelCount = gameData.levels.length
+    playerKeys = Boolean(gameData.playerKeys)
+    leaderboard = {
+      publicKeys: gameData.levels.map(e => Buffer.from(e.publicKey, 'base64')),
+      progression: gameData.progression || progression.getLinearProgression(levelCount, gameData.unlockedLevels),
+      playerKeys
+    }
+  } else {
+    const globalSettings = await readJSON(path.join(path.resolve(options.data || DATA_FOLDER), 'data-global.json'))
+    levelCount = (globalSettings && globalSettings.levelCount) || DEFAULT_RANK_LEVELS
+    playerKeys = Boolean(globalSettings && globalSettings.playerKeys)
+  }
+
+  // The scheduled hint keys can only be published with the release token (see publishHints)
+  const releaseToken = typeof options['release-token'] === 'string' ? options['release-token'] : process.env.RANK_RELEASE_TOKEN
+  const server = await createRankServer({ dataPath, levelCount, subtle: crypto.subtle, leaderboard, releaseToken, playerKeys })
+  server.listen(port, () => {
+    console.log(`Ranking server listening on http://localhost:${port}/ with ${levelCount} levels${leaderboard ? ' in the leaderboard mode' : ''}, saving to ${dataPath}`)
+    console.log(`Build the game with --rank-endpoint http://localhost:${port}/${leaderboard ? ' --rank-mode leaderboard' : ''} to use it`)
+  })
+}
+
+// Recomputes the final standings from a ranking export (see rank-audit.js) using the level
+// public keys from the game secrets. The event end comes from --end or "eventEnd" in
+// data-global.json: later entries are reported and not counted. Games with player keys
+// need a full database export, which has the registered player keys.
+async function auditRank (options) {
+  if (typeof options.players !== 'string') throw Error('Usage: audit-rank --players <players.json>')
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalSettings = await readJSON(path.join(dataFolder, 'data-global.json'))
+  if (!globalSettings) throw Error(`There is no data-global.json in ${dataFolder}`)
+  const { keys } = await readSecrets(dataFolder, options, globalSettings)
+
+  const exportData = await readJSON(path.resolve(options.players))
+  if (!exportData) throw Error(`${options.players} not found`)
+  // Both the players.json and a full database export are accepted
+  const isFullExport = exportData.players && typeof exportData.players === 'object'
+  const players = isFullExport ? exportData.players : exportData
+  const identities = (isFullExport && exportData.identities) || {}
+  if (globalSettings.playerKeys && !isFullExport) {
+    console.warn('Warning: the game uses player keys but the export has no identities, so no entry will be valid')
+  }
+
+  const endOption = typeof options.end === 'string' ? options.end : globalSettings.eventEnd
+  const eventEnd = endOption ? new Date(endOption).getTime() : null
+  if (Number.isNaN(eventEnd)) throw Error(`Invalid event end date: ${endOption}`)
+
+  const { standings, issues } = await auditRanking({
+    subtle: crypto.subtle,
+    players,
+    publicKeys: keys.slice(0, globalSettings.levelCount).map(e => Buffer.from(e.publicKey, 'base64')),
+    levelProgression: getProgression(globalSettings, []) || progression.getLinearProgression(globalSettings.levelCount, globalSettings.unlockedLevels),
+    playerKeys: Boolean(globalSettings.playerKeys),
+    identities,
+    eventEnd
+  })
+
+  console.log(`Audited ${Object.keys(players).length} players${eventEnd ? ` until ${new Date(eventEnd).toISOString()}` : ''}`)
+  if (issues.length) {
+    console.log(`\n${issues.length} issue${issues.length === 1 ? '' : 's'}:`)
+    for (let issue of issues) {
+      console.log(`  [${issue.type}] ${issue.nick}${issue.level ? ` level ${issue.level}` : ''}: ${issue.message}`)
+    }
+  }
+
+  console.log('\nFinal standings:')
+  for (let rank of standings) {
+    console.log(`  ${rank.position}. ${rank.user}: ${rank.score} levels, last at ${new Date(rank.timestamp).toISOString()}`)
+  }
+  if (standings.length === 0) console.log('  No valid entries')
+
+  if (typeof options.csv === 'string') {
+    await writeFile(options.csv, formatStandingsCSV(standings, globalSettings.levelCount))
+    console.log(`\nStandings written to ${options.csv}`)
+  }
+  if (typeof options.json === 'string') {
+    await writeFile(options.json, JSON.stringify({ eventEnd, standings, issues }, null, 2))
+    console.log(`${typeof options.csv === 'string' ? '' : '\n'}Standings and issues written to ${options.json}`)
+  }
+}
+
+// Creates the data folder of a new game: data-global.json with the settings and
+// data-keys.json with a random salt and the level keys, or the file given by --secrets
+// instead. Running it again with a bigger --levels value adds keys for the new levels
+// while keeping the existing ones, and moves the salt of older games, which kept it in
+// data-global.json, to the secrets.
+async function initGame (options) {
+  const dataFolder = path.resolve(options.data || DATA_FOLDER)
+  const globalPath = path.join(dataFolder, 'data-global.json')
+  const secretsFile = options.secrets || process.env.GAME_SECRETS_FILE
+  const secretsPath = secretsFile ? path.resolve(secretsFile) : path.join(dataFolder, 'data-keys.json')
+  const existingSettings = await readJSON(globalPath)
+  const existingSecrets = await readJSON(secretsPath)
+
+  async function saveGame (settings, gameRandomSalt, keys) {
+    await mkdir(dataFolder, { recursive: true })
+    await mkdir(path.dirname(secretsPath), { recursive: true })
+    await writeFile(secretsPath, JSON.stringify({ gameRandomSalt, keys }, null, 2))
+    delete settings.gameRandomSalt
+    await writeFile(globalPath, JSON.stringify(settings, null, 2))
+  }
+
+  if ((existingSettings || existingSecrets) && !options.force) {
+    if (!existingSettings || !existingSecrets) {
+      throw Error(`${existingSettings ? globalPath : secretsPath} already exists: use --force to overwrite it`)
+    }
+
+    const oldFormat = Array.isArray(existingSecrets)
+    const existingKeys = oldFormat ? existingSecrets : existingSecrets.keys
+    const gameRandomSalt = oldFormat ? existingSettings.gameRandomSalt : existingSecrets.gameRandomSalt
+    const levelCount = Number(options.levels) || existingSettings.levelCount
+    if (levelCount <= existingKeys.length) {
+      throw Error(`The game in ${dataFolder} already has ${existingKeys.length} level keys: use --levels to add new levels or --force to overwrite it`)
+    }
+
+    const newKeys = await generateKeys(levelCount - existingKeys.length)
+    existingSettings.levelCount = levelCount
+    await saveGame(existingSettings, gameRandomSalt, existingKeys.concat(newKeys))
+    console.log(`Added keys for levels ${existingKeys.length + 1} to ${levelCount}`)
+    return
+  }
+
+  const levelCount = Number(options.levels) || DEFAULT_SETTINGS.levelCount
+  // Small games only keep the default hint thresholds they can reach
+  const hintThresholds = DEFAULT_SETTINGS.hintThresholds.filter(e => e <= levelCount)
+  const settings = Object.assign({}, DEFAULT_SETTINGS, { levelCount, hintThresholds })
+  await saveGame(settings, randomBytes(32).toString('base64'), await generateKeys(levelCount))
+  console.log(`Created a new game with ${levelCount} levels in ${dataFolder}`)
+  if (secretsFile) console.log(`The secrets were saved in ${secretsPath}: keep this file outside of the repository`)
+}
+
+async function readJSON (filePath) {
+  const data = await readFile(filePath, 'utf-8').catch(err => {
+    if (err.code === 'ENOENT') return null
+    throw err
+  })
+  return data === null ? null : JSON.parse(data)
+}
+
+async function generateKeys (keyCount) {
   const keys = []
 
   for (let i = 0; i < keyCount; i++) {
@@ -310,13 +1646,62 @@ async function generateKeys () {
     })
   }
 
-  console.log(JSON.stringify(keys))
+  return keys
+}
+
+// Parses "--name value" and "--flag" arguments
+function parseOptions (args) {
+  const options = {}
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '')
+    if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+      options[name] = true
+    } else {
+      options[name] = args[++i]
+    }
+  }
+  return options
 }
 
-if (process.argv[2] === '--generate-keys') {
-  generateKeys()
+const [command, ...commandArgs] = process.argv.slice(2)
+if (command === 'init') {
+  initGame(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'build' || command === undefined) {
+  const options = parseOptions(commandArgs)
+  if (options.watch) {
+    watchGame(options).catch(handleError)
+  } else {
+    generateGame(options).catch(handleError)
+  }
+} else if (command === 'check-image') {
+  checkImage(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'check-hash') {
+  checkHash(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'check-robustness') {
+  checkRobustness(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'publish-hints') {
+  publishHints(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'check-certificate') {
+  checkCertificate(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'verify') {
+  verifyGame(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'audit-rank') {
+  auditRank(parseOptions(commandArgs)).catch(handleError)
+} else if (command === 'rank-server') {
+  startRankServer(parseOptions(commandArgs)).catch(handleError)
+} else if (command === '--generate-keys') {
+  // Kept for compatibility: prints the keys instead of saving those
+  generateKeys(Number(commandArgs[0]) || DEFAULT_SETTINGS.levelCount).then(keys => {
+    console.log(JSON.stringify(keys))
+  }).catch(handleError)
 } else {
-  generateGame()
+  console.log(USAGE)
+  process.exitCode = command === 'help' || command === '--help' ? 0 : 1
+}
+
+function handleError (err) {
+  console.error(`Error: ${err.message}`)
+  process.exitCode = 1
 }
 
 process.on('unhandledRejection', (err) => {
@@ -0,0 +1,163 @@
+// Level key matching shared by the builder and the game page, which gets this file inlined:
+// the image hash is used as a password to decrypt the level key. Levels with a tolerance
+// also accept hashes within that Hamming distance of the reference hash, so the player's
+// hash neighbours are tried too. To avoid running the slow key derivation for each one
+// of them a check byte (the first byte of SHA-256(salt + hash)) filters the candidates.
+// Levels with more than one reference image have one encrypted copy of the level key
+// (and one check byte) for each reference.
+const matcher = (function (dhash) {
+  const MAX_TOLERANCE = 3
+  const YIELD_INTERVAL = 256
+
+  // Key derivation schemes, recorded in the game data as {version, ...parameters}.
+  // Levels without a "kdf" are from older games, which used the version 1.
+  const KDF_VERSIONS = {
+    1: { name: 'PBKDF2-SHA-1', hash: 'SHA-1', fixedIterations: 1e4 },
+    2: { name: 'PBKDF2-SHA-256', hash: 'SHA-256' }
+  }
+  const DEFAULT_KDF = { version: 1 }
+
+  // Returns the PBKDF2 parameters of a level "kdf" setting
+  function getKdfParams (kdf) {
+    kdf = kdf || DEFAULT_KDF
+    const scheme = KDF_VERSIONS[kdf.version]
+    if (!scheme) throw Error(`Unknown key derivation version ${kdf.version}`)
+
+    const iterations = scheme.fixedIterations || kdf.iterations
+    if (!Number.isInteger(iterations) || iterations < 1) throw Error(`Invalid key derivation iterations: ${kdf.iterations}`)
+    return { name: scheme.name, hash: scheme.hash, iterations }
+  }
+
+  // Derives the AES-GCM key which encrypts the level key from the image hash
+  async function deriveImageKey (subtle, hash, salt, usages, kdf) {
+    const { hash: kdfHash, iterations } = getKdfParams(kdf)
+    const pbkdf2Wrapper = await subtle.importKey('raw', hash, {name: 'PBKDF2'}, false, ['deriveKey'])
+    return subtle.deriveKey({
+      name: 'PBKDF2',
+      salt,
+      iterations,
+      hash: {name: kdfHash}
+    }, pbkdf2Wrapper, {
+      name: 'AES-GCM',
+      length: 128
+    }, false, usages)
+  }
+
+  async function getCheckByte (subtle, hash, salt) {
+    const data = new Uint8Array(salt.length + hash.length)
+    data.set(salt, 0)
+    data.set(hash, salt.length)
+    const digest = await subtle.digest({name: 'SHA-256'}, data)
+    return new Uint8Array(digest)[0]
+  }
+
+  // Returns how many hashes a level check tries: the hashes up to `tolerance` bits
+  // different from each of the `bitCount` bits long crop hashes
+  function countCandidates (bitCount, tolerance, cropCount) {
+    let count = 0
+    let combinations = 1
+    for (let flips = 0; flips <= tolerance; flips++) {
+      count += combinations
+      combinations = combinations * (bitCount - flips) / (flips + 1)
+    }
+    return count * cropCount
+  }
+
+  // Returns the binary strings with exactly `flips` bits different from `bits`
+  function getNeighbours (bits, flips) {
+    const neighbours = []
+    const positions = []
+    for (let i = 0; i < flips; i++) positions.push(i)
+
+    while (true) {
+      const flipped = bits.split('')
+      for (let position of positions) flipped[position] = flipped[position] === '1' ? '0' : '1'
+      neighbours.push(flipped.join(''))
+
+      // Next combination of bit positions in lexicographic order
+      let i = flips - 1
+      while (i >= 0 && positions[i] === bits.length - flips + i) i--
+      if (i < 0) break
+      positions[i]++
+      for (let j = i + 1; j < flips; j++) positions[j] = positions[j - 1] + 1
+    }
+    return neighbours
+  }
+
+  function getDistance (bitsA, bitsB) {
+    let distance = 0
+    for (let i = 0; i < bitsA.length; i++) {
+      if (bitsA[i] !== bitsB[i]) distance++
+    }
+    return distance
+  }
+
+  // Converts a level from the game data to the format used by findLevelKey
+  function parseLevel (levelInfo, decodeBase64) {
+    return {
+      salt: decodeBase64(levelInfo.data).slice(0, 16),
+      keys: [].concat(levelInfo.key).map(decodeBase64),
+      checks: [].concat(levelInfo.check === undefined ? [] : levelInfo.check),
+      tolerance: levelInfo.tolerance || 0,
+      kdf: levelInfo.kdf || DEFAULT_KDF
+    }
+  }
+
+  // Tries to decrypt the level key using the image hash bits, which can be a list with
+  // the hashes of each crop of the image. `level` comes from parseLevel.
+  // Returns the level key as an Uint8Array or null if the image doesn't match. It stops,
+  // returning null, when `signal` (optional, an AbortSignal or any object with `aborted`)
+  // is aborted.
+  async function findLevelKey (subtle, bits, level, onProgress, signal) {
+    const { tolerance } = level
+    const candidateSet = new Set()
+    for (let flips = 0; flips <= tolerance; flips++) {
+      for (let cropBits of [].concat(bits)) {
+        for (let candidate of getNeighbours(cropBits, flips)) candidateSet.add(candidate)
+      }
+    }
+    const candidates = Array.from(candidateSet)
+
+    for (let i = 0; i < candidates.length; i++) {
+      if (signal && signal.aborted) return null
+      if (i % YIELD_INTERVAL === YIELD_INTERVAL - 1) {
+        // Let the page render while trying the candidates
+        if (onProgress) onProgress(i / candidates.length)
+        await new Promise(resolve => setTimeout(resolve, 0))
+      }
+
+      const hash = dhash.bin2arr(candidates[i])
+      let encryptedKeys = level.keys
+      if (tolerance) {
+        const checkByte = await getCheckByte(subtle, hash, level.salt)
+        encryptedKeys = encryptedKeys.filter((e, index) => level.checks[index] === checkByte)
+        if (encryptedKeys.length === 0) continue
+      }
+
+      const imageKey = await deriveImageKey(subtle, hash, level.salt, ['decrypt'], level.kdf)
+      for (let encryptedKey of encryptedKeys) {
+        const levelKey = await subtle.decrypt({
+          name: 'AES-GCM',
+          iv: level.salt
+        }, imageKey, encryptedKey).catch(() => null)
+        if (levelKey) return new Uint8Array(levelKey)
+      }
+    }
+
+    return null
+  }
+
+  return {
+    MAX_TOLERANCE,
+    KDF_VERSIONS,
+    getKdfParams,
+    deriveImageKey,
+    getCheckByte,
+    countCandidates,
+    getDistance,
+    parseLevel,
+    findLevelKey
+  }
+})(typeof dhash === 'undefined' ? require('./dhash') : dhash)
+
+if (typeof module !== 'undefined') module.exports = matcher
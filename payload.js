@@ -0,0 +1,131 @@
+// The level payload format, shared by the builder, which encodes it, and the game page,
+// which gets this file inlined and decodes it. The payload is what the level key decrypts:
+// the level signing key, one share of each hint key, the scene thumbnail, the shares of
+// the reward keys the level helps to unlock and the answer shown after the level is solved.
+//
+// It starts with a format version byte followed by sections, each one being a type byte,
+// the data length as a 32-bit big endian integer and the data. Unknown section types are
+// kept in `unknown` so newer builders can add fields without breaking older decoders.
+// Payloads from older games have no header: those start with the JSON signing key.
+const payload = (function () {
+  const FORMAT_VERSION = 1
+  const SECTION_HEADER_LENGTH = 5
+  const SECTION_TYPES = {
+    signingKey: 1,
+    share: 2,
+    thumbnail: 3,
+    // The reward index byte followed by the share
+    rewardShare: 4,
+    // The answer as JSON: {title, episode, timestamp, link}
+    answer: 5,
+    answerImage: 6
+  }
+  // Payloads from older games: a 206 bytes JWK, 18 bytes shares and then the thumbnail
+  const LEGACY_FIRST_BYTE = '{'.charCodeAt(0)
+  const LEGACY_KEY_LENGTH = 206
+  const LEGACY_SHARE_LENGTH = 18
+
+  // `data` is {signingKey, shares, thumbnail, rewardShares, answer, answerImage}, all of
+  // them Uint8Arrays but `shares`, which is a list of those, the optional `rewardShares`,
+  // which is a list of {reward, share} with the reward index, and the optional `answer`,
+  // which is an object. Returns the payload as a Uint8Array.
+  function encodePayload (data) {
+    const sections = [[SECTION_TYPES.signingKey, data.signingKey]]
+    for (let share of data.shares) sections.push([SECTION_TYPES.share, share])
+    sections.push([SECTION_TYPES.thumbnail, data.thumbnail])
+    for (let { reward, share } of data.rewardShares || []) {
+      const sectionData = new Uint8Array(share.length + 1)
+      sectionData[0] = reward
+      sectionData.set(share, 1)
+      sections.push([SECTION_TYPES.rewardShare, sectionData])
+    }
+    if (data.answer) sections.push([SECTION_TYPES.answer, new TextEncoder().encode(JSON.stringify(data.answer))])
+    if (data.answerImage) sections.push([SECTION_TYPES.answerImage, data.answerImage])
+
+    const length = sections.reduce((sum, e) => sum + SECTION_HEADER_LENGTH + e[1].length, 1)
+    const result = new Uint8Array(length)
+    const view = new DataView(result.buffer)
+    result[0] = FORMAT_VERSION
+
+    let offset = 1
+    for (let [type, sectionData] of sections) {
+      result[offset] = type
+      view.setUint32(offset + 1, sectionData.length)
+      result.set(sectionData, offset + SECTION_HEADER_LENGTH)
+      offset += SECTION_HEADER_LENGTH + sectionData.length
+    }
+    return result
+  }
+
+  // Returns {signingKey, shares, thumbnail, rewardShares, answer, answerImage, unknown}
+  // from a payload, with null for the missing answer and answer image.
+  // `legacyShareCount`, the number of hint thresholds, is only needed to decode payloads
+  // from older games.
+  function decodePayload (bytes, legacyShareCount) {
+    bytes = new Uint8Array(bytes)
+    if (bytes[0] === LEGACY_FIRST_BYTE) return decodeLegacyPayload(bytes, legacyShareCount)
+    if (bytes[0] !== FORMAT_VERSION) throw Error(`Unknown level payload version ${bytes[0]}`)
+
+    const result = { signingKey: null, shares: [], thumbnail: null, rewardShares: [], answer: null, answerImage: null, unknown: [] }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let offset = 1
+    while (offset < bytes.length) {
+      if (offset + SECTION_HEADER_LENGTH > bytes.length) throw Error('Truncated level payload section header')
+      const type = bytes[offset]
+      const length = view.getUint32(offset + 1)
+      const start = offset + SECTION_HEADER_LENGTH
+      if (start + length > bytes.length) throw Error('Truncated level payload section')
+      const sectionData = bytes.slice(start, start + length)
+      offset = start + length
+
+      if (type === SECTION_TYPES.signingKey) {
+        result.signingKey = sectionData
+      } else if (type === SECTION_TYPES.share) {
+        result.shares.push(sectionData)
+      } else if (type === SECTION_TYPES.thumbnail) {
+        result.thumbnail = sectionData
+      } else if (type === SECTION_TYPES.rewardShare && sectionData.length > 1) {
+        result.rewardShares.push({ reward: sectionData[0], share: sectionData.slice(1) })
+      } else if (type === SECTION_TYPES.answer) {
+        result.answer = parseAnswer(sectionData)
+      } else if (type === SECTION_TYPES.answerImage) {
+        result.answerImage = sectionData
+      } else {
+        result.unknown.push({ type, data: sectionData })
+      }
+    }
+
+    if (!result.signingKey || !result.thumbnail) throw Error('Incomplete level payload')
+    return result
+  }
+
+  function decodeLegacyPayload (bytes, shareCount) {
+    if (typeof shareCount !== 'number') throw Error('Legacy level payloads need the share count')
+    const shares = []
+    for (let i = 0; i < shareCount; i++) {
+      const start = LEGACY_KEY_LENGTH + LEGACY_SHARE_LENGTH * i
+      shares.push(bytes.slice(start, start + LEGACY_SHARE_LENGTH))
+    }
+    return {
+      signingKey: bytes.slice(0, LEGACY_KEY_LENGTH),
+      shares,
+      thumbnail: bytes.slice(LEGACY_KEY_LENGTH + LEGACY_SHARE_LENGTH * shareCount),
+      rewardShares: [],
+      answer: null,
+      answerImage: null,
+      unknown: []
+    }
+  }
+
+  function parseAnswer (sectionData) {
+    try {
+      return JSON.parse(new TextDecoder().decode(sectionData))
+    } catch (e) {
+      throw Error('Invalid answer in the level payload')
+    }
+  }
+
+  return { FORMAT_VERSION, SECTION_TYPES, encodePayload, decodePayload }
+})()
+
+if (typeof module !== 'undefined') module.exports = payload
@@ -0,0 +1,89 @@
+// Level progression shared by the builder, the game page and the ranking: which levels a
+// player can open given the levels they solved. Levels can be grouped in chapters and
+// both chapters and levels can have requirements, like "2 of the levels 4 to 7".
+//
+// The progression is {chapters: [{name, levels, requires}], levels: [{requires}]}, with
+// one entry in `levels` for each level and levels as indexes. Requirements are lists of
+// rules like {count: 2, of: [3, 4, 5, 6]}, all of which must be met; rules without `of`
+// count any solved level. Games without a progression use getLinearProgression.
+const progression = (function () {
+  // The first `unlockedLevels` levels are open and each solved level opens the next one
+  function getLinearProgression (levelCount, unlockedLevels) {
+    const levels = []
+    for (let i = 0; i < levelCount; i++) {
+      levels.push({ requires: i < unlockedLevels ? [] : [{ count: i - unlockedLevels + 1 }] })
+    }
+    return { chapters: [], levels }
+  }
+
+  // Returns the rules a level needs: the ones of its chapter, then its own ones
+  function getRules (levelProgression, index) {
+    const chapter = levelProgression.chapters.find(e => e.levels.includes(index))
+    return (chapter ? chapter.requires : []).concat(levelProgression.levels[index].requires)
+  }
+
+  // How many of the levels a rule counts are in `solved` (a Set), never counting the level itself
+  function countSolved (rule, index, solved) {
+    let count = 0
+    for (let level of solved) {
+      if (level !== index && (!rule.of || rule.of.includes(level))) count++
+    }
+    return count
+  }
+
+  // Returns the rules which `solved` doesn't meet as {count, of, solved}. `index` is the
+  // level the rules open, if those are from a level.
+  function getMissingRules (rules, solved, index) {
+    return rules
+      .map(rule => Object.assign({}, rule, { solved: countSolved(rule, index, solved) }))
+      .filter(rule => rule.solved < rule.count)
+  }
+
+  function isOpen (levelProgression, index, solved) {
+    return getMissingRules(getRules(levelProgression, index), solved, index).length === 0
+  }
+
+  // Returns the levels from `solvedLevels` which were open when solved, in the order those
+  // can be solved: a level only counts when the levels which open it count too
+  function getCountedLevels (levelProgression, solvedLevels) {
+    const counted = new Set()
+    let pending = Array.from(solvedLevels)
+    let changed = true
+
+    while (changed) {
+      changed = false
+      pending = pending.filter(level => {
+        if (!isOpen(levelProgression, level, counted)) return true
+        counted.add(level)
+        changed = true
+        return false
+      })
+    }
+
+    return counted
+  }
+
+  // Formats levels (indexes) as numbers, joining sequences like "4-7, 9"
+  function formatLevels (indexes) {
+    const sorted = Array.from(indexes).sort((a, b) => a - b)
+    const parts = []
+    for (let i = 0; i < sorted.length; i++) {
+      let j = i
+      while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++
+      parts.push(j > i + 1 ? `${sorted[i] + 1}-${sorted[j] + 1}` : j === i + 1 ? `${sorted[i] + 1}, ${sorted[j] + 1}` : `${sorted[i] + 1}`)
+      i = j
+    }
+    return parts.join(', ')
+  }
+
+  return {
+    getLinearProgression,
+    getRules,
+    getMissingRules,
+    isOpen,
+    getCountedLevels,
+    formatLevels
+  }
+})()
+
+if (typeof module !== 'undefined') module.exports = progression
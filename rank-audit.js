@@ -0,0 +1,156 @@
+// Ranking audit: recomputes the final standings from a ranking export with the same
+// rules of the page (see ranking.js) and reports the entries which look wrong.
+const ranking = require('./ranking')
+const progression = require('./progression')
+
+// Same limits of the page: see startGame
+const MAX_NICK_LENGTH = 40
+
+// `players` is the players.json export, `publicKeys` the level public keys as Uint8Arrays,
+// `levelProgression` the level progression (see progression.js) and `eventEnd` the time,
+// in milliseconds, after which entries don't count (optional).
+// In games with player keys (`playerKeys`) `identities` has the registered player keys.
+// Returns {standings, issues}: the standings have the solve time of each counted level.
+async function auditRanking ({ subtle, players, publicKeys, levelProgression, playerKeys, identities = {}, eventEnd }) {
+  const issues = []
+  const standings = []
+
+  for (let [nick, levels] of Object.entries(players)) {
+    if (!levels || typeof levels !== 'object') {
+      issues.push({ type: 'invalid-entry', nick, message: 'the player entry is not an object' })
+      continue
+    }
+
+    const validLevels = {}
+    for (let [level, entry] of Object.entries(levels)) {
+      const levelIndex = Number(level)
+      const playerPublicKey = identities[nick] && identities[nick].publicKey
+      const issue = await checkEntry(subtle, nick, levelIndex, entry, publicKeys, playerKeys, playerPublicKey, eventEnd)
+      if (issue) {
+        issues.push(Object.assign({ nick, level: levelIndex + 1 }, issue))
+      } else {
+        validLevels[levelIndex] = entry
+      }
+    }
+
+    for (let issue of checkSolveOrder(nick, validLevels, levelProgression)) issues.push(issue)
+
+    const rank = await ranking.scorePlayer(nick, validLevels, levelProgression, () => true)
+    if (rank.score === 0) continue
+
+    // Only the levels opened by other counted levels are counted by scorePlayer
+    const solveTimes = {}
+    for (let levelIndex of progression.getCountedLevels(levelProgression, Object.keys(validLevels).map(Number))) {
+      solveTimes[levelIndex + 1] = validLevels[levelIndex].timestamp
+    }
+    standings.push(Object.assign(rank, { solveTimes }))
+  }
+
+  standings.sort(ranking.compareRanks)
+  standings.forEach((rank, index) => { rank.position = index + 1 })
+
+  for (let issue of checkNicknames(Object.keys(players))) issues.push(issue)
+  return { standings, issues }
+}
+
+async function checkEntry (subtle, nick, levelIndex, entry, publicKeys, playerKeys, playerPublicKey, eventEnd) {
+  if (!Number.isInteger(levelIndex) || !publicKeys[levelIndex]) {
+    return { type: 'unknown-level', message: 'the level is not in the game' }
+  }
+  if (!entry || typeof entry.signature !== 'string' || typeof entry.timestamp !== 'number') {
+    return { type: 'invalid-entry', message: 'the entry has no signature or timestamp' }
+  }
+  if (playerKeys && !playerPublicKey) {
+    return { type: 'invalid-signature', message: 'the nickname has no registered player key' }
+  }
+  const isValid = await ranking.verifyEntry(subtle, e => new Uint8Array(Buffer.from(e, 'base64')), {
+    levelPublicKey: publicKeys[levelIndex],
+    nick,
+    level: levelIndex,
+    entry,
+    playerKeys,
+    playerPublicKey
+  })
+  if (!isValid) {
+    return { type: 'invalid-signature', message: playerKeys ? 'the signatures do not match the level and the player key' : 'the signature does not match the level' }
+  }
+  if (eventEnd && entry.timestamp > eventEnd) {
+    return { type: 'after-end', message: `solved at ${new Date(entry.timestamp).toISOString()}, after the event end` }
+  }
+  return null
+}
+
+// A level can only be solved after the levels which open it were solved. The page saves
+// the levels together when the ranking loads, so levels saved at the same time are fine.
+function checkSolveOrder (nick, validLevels, levelProgression) {
+  const issues = []
+  const solved = Object.keys(validLevels).map(Number)
+  for (let levelIndex of solved) {
+    const { timestamp } = validLevels[levelIndex]
+    const solvedBefore = new Set(solved.filter(e => validLevels[e].timestamp <= timestamp && e !== levelIndex))
+    const missingRules = progression.getMissingRules(progression.getRules(levelProgression, levelIndex), solvedBefore, levelIndex)
+    if (missingRules.length) {
+      issues.push({
+        type: 'impossible-order',
+        nick,
+        level: levelIndex + 1,
+        message: `solved before it was open: ${missingRules.map(formatRule).join(', ')}`
+      })
+    }
+  }
+  return issues
+}
+
+function formatRule (rule) {
+  const levels = rule.of ? `of the levels ${progression.formatLevels(rule.of)}` : 'levels'
+  return `only ${rule.solved} ${levels} were solved, but it needs ${rule.count}`
+}
+
+// Reports nicknames which the page doesn't allow and nicknames which look the same
+function checkNicknames (nicks) {
+  const issues = []
+  const normalizedNicks = new Map()
+
+  for (let nick of nicks) {
+    if (nick !== nick.trim() || nick.startsWith('.') || nick.length > MAX_NICK_LENGTH) {
+      issues.push({ type: 'suspicious-nickname', nick, message: 'the page does not allow this nickname' })
+    }
+
+    const normalized = normalizeNick(nick)
+    if (normalizedNicks.has(normalized)) {
+      issues.push({ type: 'duplicated-nickname', nick, message: `looks the same as "${normalizedNicks.get(normalized)}"` })
+    } else {
+      normalizedNicks.set(normalized, nick)
+    }
+  }
+
+  return issues
+}
+
+// Removes the differences which are hard to notice: case, accents, spaces and
+// full width or other compatibility characters
+function normalizeNick (nick) {
+  return nick.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '').toLowerCase()
+}
+
+// Returns the standings as CSV: one row for each player, with the solve time of each level
+function formatStandingsCSV (standings, levelCount) {
+  const levelHeaders = []
+  for (let i = 1; i <= levelCount; i++) levelHeaders.push(`level ${i}`)
+  const rows = [['position', 'nickname', 'score', 'last solve'].concat(levelHeaders)]
+
+  for (let rank of standings) {
+    const solveTimes = levelHeaders.map((e, i) => rank.solveTimes[i + 1] ? new Date(rank.solveTimes[i + 1]).toISOString() : '')
+    rows.push([rank.position, rank.user, rank.score, new Date(rank.timestamp).toISOString()].concat(solveTimes))
+  }
+
+  return rows.map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n'
+}
+
+function formatCSVField (value) {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+module.exports.auditRanking = auditRanking
+module.exports.formatStandingsCSV = formatStandingsCSV
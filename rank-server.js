@@ -0,0 +1,361 @@
+// A small ranking server which can replace Firebase: it serves the same REST paths the
+// page uses (GET players.json and PUT players/<nick>/<level>.json) and enforces the same
+// validation as firebase-rules.json. The data is kept in a JSON file.
+//
+// Nicknames can be claimed by registering a player public key in identities/<nick>.json.
+// After that the levels of the nickname are only accepted with a player signature made with
+// that key, which the Firebase rules can't check, so only this server rejects forged ones.
+// In games with player keys the levels of nicknames which weren't registered are rejected.
+//
+// The scheduled hint keys are published to releasedHints/<index>.json by the publish-hints
+// command, which needs the release token as the "auth" parameter, like the Firebase secret.
+//
+// In the leaderboard mode it also checks the level signatures when those are saved and
+// keeps the ranking sorted, serving it in pages from GET leaderboard.json, so players
+// don't need to download and verify the whole players.json.
+const ranking = require('./ranking')
+const http = require('http')
+const path = require('path')
+const util = require('util')
+const fs = require('fs')
+
+const readFile = util.promisify(fs.readFile)
+const writeFile = util.promisify(fs.writeFile)
+const rename = util.promisify(fs.rename)
+
+// The same limit of the Firebase REST API
+const MAX_BODY_LENGTH = 16 * 1024
+// Firebase keys can't contain those characters
+const INVALID_KEY_REGEX = /[.$#[\]/\x00-\x1f\x7f]/
+// The signature comes from a ECDSA-SHA-256 Base64: 64 bytes = 88 characters
+const SIGNATURE_LENGTH = 88
+// A P-256 public key in the spki format: 91 bytes = 124 characters in Base64
+const PUBLIC_KEY_LENGTH = 124
+// A 16 bytes hint key = 24 characters in Base64
+const HINT_KEY_LENGTH = 24
+const DATABASE_KEYS = ['players', 'identities', 'releasedHints']
+const LEADERBOARD_PAGE_SIZE = 50
+const MAX_LEADERBOARD_PAGE_SIZE = 200
+
+// Creates the server. `dataPath` is the JSON file where the players are saved and
+// `levelCount` the number of levels accepted (firebase-rules.json accepts 30).
+// `leaderboard` enables the leaderboard mode: it is {publicKeys, progression, playerKeys},
+// with the level public keys as Uint8Arrays and the level progression (see progression.js).
+// `releaseToken` allows publishing the scheduled hint keys; without it those can't be published.
+// `playerKeys` is set in games with player keys, whose nicknames must be registered.
+async function createRankServer ({ dataPath, levelCount, subtle, leaderboard, releaseToken, playerKeys }) {
+  const { players, identities, releasedHints } = await readDatabase(dataPath)
+  const validEntries = new Set()
+  const ranks = new Map()
+  let sortedRanks = []
+  let saving = Promise.resolve()
+
+  function isValidSignature (nick, level, entry) {
+    const levelPublicKey = leaderboard.publicKeys[level]
+    if (!levelPublicKey) return false
+    return ranking.verifyEntry(subtle, decodeBase64, {
+      levelPublicKey,
+      nick,
+      level,
+      entry,
+      playerKeys: leaderboard.playerKeys,
+      playerPublicKey: identities[nick] && identities[nick].publicKey
+    })
+  }
+
+  // Checks the player signature of levels saved to a registered nickname
+  async function isValidPlayerSignature (nick, level, entry) {
+    if (!identities[nick]) return true
+    if (typeof entry.playerSignature !== 'string') return false
+    const publicKey = await importPublicKey(subtle, identities[nick].publicKey)
+    return subtle.verify({ name: 'ECDSA', hash: { name: 'SHA-256' } }, publicKey,
+      decodeBase64(entry.playerSignature), ranking.getEntryMessage(nick, level, entry.signature))
+  }
+
+  // Entries are only verified once: when the server starts or when those are saved
+  async function updateRank (nick) {
+    const rank = await ranking.scorePlayer(nick, players[nick], leaderboard.progression, level => validEntries.has(`${nick}/${level}`))
+    if (rank.score > 0) {
+      ranks.set(nick, rank)
+    } else {
+      ranks.delete(nick)
+    }
+  }
+
+  function sortRanks () {
+    sortedRanks = Array.from(ranks.values()).sort(ranking.compareRanks)
+    sortedRanks.forEach((rank, index) => { rank.position = index + 1 })
+  }
+
+  if (leaderboard) {
+    for (let nick of Object.keys(players)) {
+      for (let level of Object.keys(players[nick])) {
+        if (await isValidSignature(nick, level, players[nick][level])) validEntries.add(`${nick}/${level}`)
+      }
+      await updateRank(nick)
+    }
+    sortRanks()
+  }
+
+  function saveDatabase () {
+    // Writes are queued so the file is never written by two requests at the same time
+    saving = saving.then(async () => {
+      const tempPath = dataPath + '.tmp'
+      await writeFile(tempPath, JSON.stringify({ players, identities, releasedHints }))
+      await rename(tempPath, dataPath)
+    })
+    return saving
+  }
+
+  async function handleRequest (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const parts = url.pathname.replace(/^\/+|\.json$/g, '').split('/').map(decodePathPart)
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'players') {
+      return sendJSON(res, 200, Object.keys(players).length ? players : null)
+    }
+
+    if (req.method === 'GET' && parts.length === 2 && parts[0] === 'players') {
+      return sendJSON(res, 200, players[parts[1]] || null)
+    }
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'identities') {
+      return sendJSON(res, 200, Object.keys(identities).length ? identities : null)
+    }
+
+    if (req.method === 'GET' && parts.length === 2 && parts[0] === 'identities') {
+      return sendJSON(res, 200, identities[parts[1]] || null)
+    }
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'releasedHints') {
+      return sendJSON(res, 200, Object.keys(releasedHints).length ? releasedHints : null)
+    }
+
+    if (req.method === 'GET' && leaderboard && parts.length === 1 && parts[0] === 'leaderboard') {
+      // Returns a page of the ranking plus the rank of the player given by "nick"
+      const page = Math.max(0, parseInt(url.searchParams.get('page'), 10) || 0)
+      const pageSize = Math.min(MAX_LEADERBOARD_PAGE_SIZE, parseInt(url.searchParams.get('pageSize'), 10) || LEADERBOARD_PAGE_SIZE)
+      const nick = url.searchParams.get('nick')
+      return sendJSON(res, 200, {
+        total: sortedRanks.length,
+        page,
+        pageSize,
+        ranks: sortedRanks.slice(page * pageSize, (page + 1) * pageSize),
+        player: (nick && ranks.get(nick)) || null
+      })
+    }
+
+    if (req.method === 'PUT' && parts.length === 3 && parts[0] === 'players') {
+      const [, nick, level] = parts
+      const entry = parseJSON(await readBody(req))
+      const error = validateEntry(players, identities, nick, level, entry, levelCount, playerKeys)
+      if (error) return sendJSON(res, 401, { error: `Permission denied: ${error}` })
+      if (!(await isValidPlayerSignature(nick, level, entry).catch(() => false))) {
+        return sendJSON(res, 401, { error: 'Permission denied: the player signature does not match the nickname' })
+      }
+      if (leaderboard && !(await isValidSignature(nick, level, entry))) {
+        return sendJSON(res, 401, { error: 'Permission denied: the signature does not match the level' })
+      }
+      // The level can be saved by other request while the signature was verified
+      if (players[nick] && players[nick][level] !== undefined) {
+        return sendJSON(res, 401, { error: 'Permission denied: the level was already saved' })
+      }
+
+      // Server values are replaced like Firebase does
+      if (entry.timestamp && entry.timestamp['.sv'] === 'timestamp') entry.timestamp = Date.now()
+      if (!players[nick]) players[nick] = {}
+      players[nick][level] = entry
+
+      if (leaderboard) {
+        validEntries.add(`${nick}/${level}`)
+        await updateRank(nick)
+        sortRanks()
+      }
+
+      await saveDatabase()
+      return sendJSON(res, 200, entry)
+    }
+
+    if (req.method === 'PUT' && parts.length === 2 && parts[0] === 'identities') {
+      const nick = parts[1]
+      const identity = parseJSON(await readBody(req))
+      const error = validateIdentity(identities, nick, identity)
+      if (error) return sendJSON(res, 401, { error: `Permission denied: ${error}` })
+      if (!(await importPublicKey(subtle, identity.publicKey).catch(() => null))) {
+        return sendJSON(res, 401, { error: 'Permission denied: invalid public key' })
+      }
+      // The nickname can be registered by other request while the key was imported
+      if (identities[nick]) {
+        return sendJSON(res, 401, { error: 'Permission denied: the nickname was already registered' })
+      }
+
+      if (identity.timestamp && identity.timestamp['.sv'] === 'timestamp') identity.timestamp = Date.now()
+      identities[nick] = identity
+      await saveDatabase()
+      return sendJSON(res, 200, identity)
+    }
+
+    if (req.method === 'PUT' && parts.length === 2 && parts[0] === 'releasedHints') {
+      if (!releaseToken || url.searchParams.get('auth') !== releaseToken) {
+        return sendJSON(res, 401, { error: 'Permission denied: invalid release token' })
+      }
+      const release = parseJSON(await readBody(req))
+      const error = validateRelease(parts[1], release)
+      if (error) return sendJSON(res, 400, { error })
+
+      // Publishing a key again replaces it, as in Firebase
+      releasedHints[parts[1]] = release
+      await saveDatabase()
+      return sendJSON(res, 200, release)
+    }
+
+    sendJSON(res, 404, { error: 'Not found' })
+  }
+
+  return http.createServer((req, res) => {
+    // The page is served from other origin, so the CORS preflight requests are allowed
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      return res.end()
+    }
+
+    handleRequest(req, res).catch(err => {
+      sendJSON(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Internal server error' })
+      if (!err.statusCode) console.error(err)
+    })
+  })
+}
+
+// Returns why a PUT to players/<nick>/<level> is rejected, if it is,
+// following the order of the rules in firebase-rules.json
+function validateEntry (players, identities, nick, level, entry, levelCount, playerKeys) {
+  if (!nick || INVALID_KEY_REGEX.test(nick)) return 'invalid nickname'
+  if (players[nick] && players[nick][level] !== undefined) return 'the level was already saved'
+  if (entry === null) return 'missing data'
+  if (!/^(0|[1-9]\d*)$/.test(level) || Number(level) >= levelCount) return 'invalid level'
+  if (typeof entry !== 'object' || Array.isArray(entry)) return 'the data must be an object'
+  if (entry.signature === undefined || entry.timestamp === undefined) return 'missing signature or timestamp'
+  if (playerKeys && !identities[nick]) return 'the nickname is not registered'
+  if (identities[nick] && entry.playerSignature === undefined) return 'missing player signature'
+  if (typeof entry.signature !== 'string' || entry.signature.length !== SIGNATURE_LENGTH) return 'invalid signature'
+  if (entry.playerSignature !== undefined && (typeof entry.playerSignature !== 'string' || entry.playerSignature.length !== SIGNATURE_LENGTH)) {
+    return 'invalid player signature'
+  }
+  if (!isValidTimestamp(entry.timestamp)) return 'invalid timestamp'
+
+  const otherKeys = Object.keys(entry).filter(e => e !== 'signature' && e !== 'playerSignature' && e !== 'timestamp')
+  if (otherKeys.length) return `unknown field ${otherKeys[0]}`
+  return null
+}
+
+// Returns why a PUT to identities/<nick> is rejected, if it is
+function validateIdentity (identities, nick, identity) {
+  if (!nick || INVALID_KEY_REGEX.test(nick)) return 'invalid nickname'
+  if (identities[nick]) return 'the nickname was already registered'
+  if (identity === null) return 'missing data'
+  if (typeof identity !== 'object' || Array.isArray(identity)) return 'the data must be an object'
+  if (identity.publicKey === undefined || identity.timestamp === undefined) return 'missing public key or timestamp'
+  if (typeof identity.publicKey !== 'string' || identity.publicKey.length !== PUBLIC_KEY_LENGTH) return 'invalid public key'
+  if (!isValidTimestamp(identity.timestamp)) return 'invalid timestamp'
+
+  const otherKeys = Object.keys(identity).filter(e => e !== 'publicKey' && e !== 'timestamp')
+  if (otherKeys.length) return `unknown field ${otherKeys[0]}`
+  return null
+}
+
+// Returns why a PUT to releasedHints/<index> is rejected, if it is
+function validateRelease (index, release) {
+  if (!/^(0|[1-9]\d*)$/.test(index)) return 'invalid hint index'
+  if (!release || typeof release !== 'object' || Array.isArray(release)) return 'the data must be an object'
+  if (typeof release.key !== 'string' || release.key.length !== HINT_KEY_LENGTH) return 'invalid key'
+  if (typeof release.time !== 'number') return 'invalid time'
+
+  const otherKeys = Object.keys(release).filter(e => e !== 'key' && e !== 'time')
+  if (otherKeys.length) return `unknown field ${otherKeys[0]}`
+  return null
+}
+
+function isValidTimestamp (timestamp) {
+  const isServerTimestamp = timestamp && typeof timestamp === 'object' && timestamp['.sv'] === 'timestamp' && Object.keys(timestamp).length === 1
+  return isServerTimestamp || (typeof timestamp === 'number' && timestamp <= Date.now())
+}
+
+function importPublicKey (subtle, publicKey) {
+  return subtle.importKey('spki', decodeBase64(publicKey), {
+    name: 'ECDSA',
+    namedCurve: 'P-256'
+  }, false, ['verify'])
+}
+
+function decodeBase64 (text) {
+  return new Uint8Array(Buffer.from(text, 'base64'))
+}
+
+// Returns {players, identities, releasedHints}. Files saved by older versions only have the players.
+async function readDatabase (dataPath) {
+  const data = await readFile(dataPath, 'utf-8').catch(err => {
+    if (err.code === 'ENOENT') return null
+    throw err
+  })
+  if (data === null) return { players: {}, identities: {}, releasedHints: {} }
+
+  let parsed
+  try {
+    parsed = JSON.parse(data) || {}
+  } catch (e) {
+    throw Error(`Could not parse ${path.basename(dataPath)}: ${e.message}`)
+  }
+
+  const isDatabase = Object.keys(parsed).length > 0 &&
+    Object.keys(parsed).every(e => DATABASE_KEYS.includes(e) && typeof parsed[e] === 'object')
+  if (!isDatabase) return { players: parsed, identities: {}, releasedHints: {} }
+  return { players: parsed.players || {}, identities: parsed.identities || {}, releasedHints: parsed.releasedHints || {} }
+}
+
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.setEncoding('utf-8')
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_LENGTH) {
+        const error = Error('Request body too large')
+        error.statusCode = 413
+        reject(error)
+        req.destroy()
+      }
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+function parseJSON (text) {
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    const error = Error('Invalid data; couldn\'t parse JSON object')
+    error.statusCode = 400
+    throw error
+  }
+}
+
+function decodePathPart (part) {
+  try {
+    return decodeURIComponent(part)
+  } catch (e) {
+    const error = Error('Invalid path')
+    error.statusCode = 400
+    throw error
+  }
+}
+
+function sendJSON (res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(data))
+}
+
+module.exports.createRankServer = createRankServer
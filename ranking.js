@@ -0,0 +1,86 @@
+// Ranking rules shared by the game page, which gets this file inlined, and the ranking
+// server: each solved level is saved with an ECDSA signature of the player nickname made
+// with the level private key, which only who solved the level can decrypt.
+//
+// In games with player keys each player also has an ECDSA key pair, registered with the
+// nickname in the ranking server. The level signature covers the player public key too,
+// and the player signs each saved level, so only the owner of a nickname can save levels.
+const ranking = (function (progression) {
+  // The signed message of a level: the nickname, plus the player public key (spki in base64)
+  // in games with player keys, so a copied signature doesn't work for other players
+  function getLevelMessage (nick, playerPublicKey) {
+    return new TextEncoder().encode(playerPublicKey ? `${nick}\n${playerPublicKey}` : nick)
+  }
+
+  // The message the player signs when saving a level
+  function getEntryMessage (nick, level, levelSignature) {
+    return new TextEncoder().encode(`${nick}/${level}/${levelSignature}`)
+  }
+
+  // Checks an ECDSA P-256 signature. `publicKey` (spki), `message` and `signature` are Uint8Arrays.
+  async function verifySignature (subtle, publicKey, message, signature) {
+    const key = await subtle.importKey('spki', publicKey, {
+      name: 'ECDSA',
+      namedCurve: 'P-256'
+    }, false, ['verify']).catch(() => null)
+    if (!key) return false
+
+    return subtle.verify({
+      name: 'ECDSA',
+      hash: {name: 'SHA-256'}
+    }, key, signature, message).catch(() => false)
+  }
+
+  // Checks a saved level ({signature, timestamp, playerSignature}) of `nick`. `levelPublicKey`
+  // is an Uint8Array. In games with player keys (`playerKeys`) the entry also needs a player
+  // signature made with the key registered for the nickname (`playerPublicKey`, spki in
+  // base64, missing if there is none). `decodeBase64` must return Uint8Arrays.
+  async function verifyEntry (subtle, decodeBase64, { levelPublicKey, nick, level, entry, playerKeys, playerPublicKey }) {
+    try {
+      const signature = decodeBase64(entry.signature)
+      if (!playerKeys) return await verifySignature(subtle, levelPublicKey, getLevelMessage(nick), signature)
+      if (!playerPublicKey || typeof entry.playerSignature !== 'string') return false
+
+      const isPlayerSignatureValid = await verifySignature(subtle, decodeBase64(playerPublicKey),
+        getEntryMessage(nick, level, entry.signature), decodeBase64(entry.playerSignature))
+      return isPlayerSignatureValid && await verifySignature(subtle, levelPublicKey, getLevelMessage(nick, playerPublicKey), signature)
+    } catch (e) {
+      // Invalid base64 or missing fields
+      return false
+    }
+  }
+
+  // Returns the player score as {user, score, timestamp}. `levels` are the saved levels
+  // of the player. Only the levels opened by other valid levels count (see progression.js),
+  // so a player can't get points by skipping levels, and the timestamp is the one of the
+  // last counted level. `isValid(levelIndex, entry)` can be async and checks the signature.
+  async function scorePlayer (user, levels, levelProgression, isValid) {
+    const validLevels = []
+    for (let [level, levelData] of Object.entries(levels || {})) {
+      const levelIndex = Number(level)
+      if (!levelData || !levelProgression.levels[levelIndex]) continue
+      if (await isValid(levelIndex, levelData)) validLevels.push(levelIndex)
+    }
+
+    let timestamp = 0
+    const countedLevels = progression.getCountedLevels(levelProgression, validLevels)
+    for (let levelIndex of countedLevels) timestamp = Math.max(timestamp, levels[levelIndex].timestamp)
+
+    return { user, score: countedLevels.size, timestamp }
+  }
+
+  // Sorts by score, then by who got it first
+  function compareRanks (a, b) {
+    return (b.score - a.score) || (a.timestamp - b.timestamp)
+  }
+
+  return {
+    getLevelMessage,
+    getEntryMessage,
+    verifyEntry,
+    scorePlayer,
+    compareRanks
+  }
+})(typeof progression === 'undefined' ? require('./progression') : progression)
+
+if (typeof module !== 'undefined') module.exports = ranking
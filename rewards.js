@@ -0,0 +1,47 @@
+// Rewards shared by the builder, the game page and the verify command: bonus content
+// unlocked by solving a number of levels or all the levels of a list. As the hint keys,
+// each reward key is split with Shamir's secret sharing between the payloads of the
+// levels which count for it (see payload.js), so the page combines it from the solved
+// levels. Rewards with a certificate also have a signing key, which signs the nickname:
+// every player who unlocks the reward gets it, so a signature doesn't prove who solved it.
+//
+// A reward in the game data is {name, threshold, levels, data, publicKey}: `levels` is
+// only set when the reward needs all those levels and `publicKey` when it has a
+// certificate. The data is the iv followed by the encrypted {message, image, certificateKey}.
+const rewards = (function () {
+  // Returns the shares of a reward key from the decrypted level payloads, or null if those
+  // don't have enough shares
+  function getRewardShares (reward, rewardIndex, levelPayloads) {
+    const shares = []
+    for (let levelPayload of levelPayloads) {
+      const rewardShare = levelPayload.rewardShares.find(e => e.reward === rewardIndex)
+      if (rewardShare) shares.push(rewardShare.share)
+      if (shares.length === reward.threshold) return shares
+    }
+    return null
+  }
+
+  // Returns the content of a reward, throwing an error if the key is wrong
+  async function decryptReward (subtle, reward, rewardKey, decodeBase64) {
+    const data = decodeBase64(reward.data)
+    const key = await subtle.importKey('raw', rewardKey, {name: 'AES-GCM'}, false, ['decrypt'])
+    const decrypted = await subtle.decrypt({
+      name: 'AES-GCM',
+      iv: data.slice(0, 16)
+    }, key, data.slice(16))
+    return JSON.parse(new TextDecoder().decode(decrypted))
+  }
+
+  // The message signed by the certificate of a reward
+  function getCertificateMessage (nick, rewardIndex) {
+    return new TextEncoder().encode(`certificate/${rewardIndex}/${nick}`)
+  }
+
+  return {
+    getRewardShares,
+    decryptReward,
+    getCertificateMessage
+  }
+})()
+
+if (typeof module !== 'undefined') module.exports = rewards
@@ -0,0 +1,308 @@
+// Hash robustness report: applies to the reference images the changes screenshots from
+// players usually have (JPEG compression, smaller resolutions, crops, subtitles, logos,
+// other brightness) and hashes the results like the page does, showing which levels
+// and which comparisons of the hash (see dhash.js) break with those.
+const Jimp = require('jimp')
+const dhash = require('./dhash')
+const matcher = require('./matcher')
+
+const THUMBNAIL_WIDTH = 160
+
+// Each change gets a copy of the image and returns the changed image
+const VARIANTS = [
+  ['JPEG 90%', image => reencode(image, 90)],
+  ['JPEG 70%', image => reencode(image, 70)],
+  ['JPEG 50%', image => reencode(image, 50)],
+  ['JPEG 30%', image => reencode(image, 30)],
+  ['720p', image => image.resize(Jimp.AUTO, 720)],
+  ['480p', image => image.resize(Jimp.AUTO, 480)],
+  ['360p', image => image.resize(Jimp.AUTO, 360)],
+  ['2% crop', image => cropBorders(image, 0.02, 0.02)],
+  ['5% crop', image => cropBorders(image, 0.05, 0.05)],
+  ['1% offset', image => cropBorders(image, 0.01, 0)],
+  ['3% offset', image => cropBorders(image, 0.03, 0)],
+  ['Subtitles', image => drawSubtitles(image)],
+  ['Logo on the top left', image => drawLogo(image, 0.02, 0.03)],
+  ['Logo on the bottom right', image => drawLogo(image, 0.86, 0.89)],
+  ['10% brighter', image => image.brightness(0.1)],
+  ['10% darker', image => image.brightness(-0.1)],
+  ['Gamma 0.8', image => changeGamma(image, 0.8)],
+  ['Gamma 1.25', image => changeGamma(image, 1.25)]
+].map(([name, apply]) => ({ name, apply }))
+
+// `levels` is a list of {tolerance, hashOptions, references: [path]} objects, one for each
+// level. `onLevel(levelNumber)` is called before each level is checked. When `onlyLevel` (an
+// index) is given only that level is changed, but it's still compared to the others. Returns the report:
+// the variants of each reference with the distance to the level, the comparisons which
+// changed and the levels each level is closest to.
+async function getRobustnessReport (levels, onLevel, onlyLevel = null) {
+  // The references are hashed first so the variants can be compared to the other levels
+  const levelBits = []
+  for (let level of levels) {
+    const bits = []
+    for (let referencePath of level.references) {
+      for (let e of getCropBits(await Jimp.read(referencePath), level.hashOptions)) bits.push(e)
+    }
+    levelBits.push(bits)
+  }
+
+  const reportLevels = []
+  for (let i = 0; i < levels.length; i++) {
+    if (onlyLevel !== null && i !== onlyLevel) continue
+    if (onLevel) onLevel(i + 1)
+    const { tolerance, hashOptions } = levels[i]
+    const bitCount = levelBits[i][0].length
+    const bitFlips = new Array(bitCount).fill(0)
+    const references = []
+
+    for (let referencePath of levels[i].references) {
+      const referenceImage = await Jimp.read(referencePath)
+      const variants = []
+      for (let variant of VARIANTS) {
+        const image = await variant.apply(referenceImage.clone())
+        const bits = getCropBits(image, hashOptions)
+        const closest = getClosestPair(bits, levelBits[i])
+        const flippedBits = getFlippedBits(closest.a, closest.b)
+        for (let bit of flippedBits) bitFlips[bit]++
+
+        // A changed screenshot could unlock other levels too
+        const otherLevels = []
+        for (let j = 0; j < levels.length; j++) {
+          if (j !== i && getClosestPair(bits, levelBits[j]).distance <= levels[j].tolerance) otherLevels.push(j + 1)
+        }
+
+        variants.push({
+          name: variant.name,
+          distance: closest.distance,
+          unlocks: closest.distance <= tolerance,
+          flippedBits,
+          otherLevels,
+          thumbnail: await getThumbnail(image)
+        })
+      }
+
+      references.push({ path: referencePath, thumbnail: await getThumbnail(referenceImage), variants })
+    }
+
+    let nearestLevel = null
+    for (let j = 0; j < levels.length; j++) {
+      if (j === i) continue
+      const { distance } = getClosestPair(levelBits[i], levelBits[j])
+      if (!nearestLevel || distance < nearestLevel.distance) nearestLevel = { level: j + 1, distance }
+    }
+
+    const unstableBits = bitFlips.map((flips, bit) => ({ bit, description: describeBit(bit, hashOptions), flips }))
+      .filter(e => e.flips > 0)
+      .sort((a, b) => b.flips - a.flips)
+    reportLevels.push({ level: i + 1, tolerance, references, unstableBits, nearestLevel })
+  }
+
+  // The comparisons which changed the most in the whole game, for games using the same hash size
+  const gameFlips = {}
+  for (let level of reportLevels) {
+    for (let { bit, description, flips } of level.unstableBits) {
+      if (!gameFlips[bit]) gameFlips[bit] = { bit, description, flips: 0 }
+      gameFlips[bit].flips += flips
+    }
+  }
+  const closestLevels = reportLevels.filter(e => e.nearestLevel)
+    .reduce((closest, e) => !closest || e.nearestLevel.distance < closest.distance ? { levels: [e.level, e.nearestLevel.level], distance: e.nearestLevel.distance } : closest, null)
+
+  return {
+    variantCount: VARIANTS.length,
+    levels: reportLevels,
+    unstableBits: Object.values(gameFlips).sort((a, b) => b.flips - a.flips),
+    closestLevels
+  }
+}
+
+// Returns the lines of the console summary. `getName(path)` names the reference images.
+function formatRobustnessSummary (report, getName) {
+  const lines = [`Robustness of ${report.levels.length} level${report.levels.length === 1 ? '' : 's'} against ${report.variantCount} changes:`]
+
+  for (let level of report.levels) {
+    // The changes are named with the reference in levels with many of those
+    const variants = [].concat(...level.references.map(reference => reference.variants.map(e => Object.assign({}, e, {
+      name: level.references.length > 1 ? `${e.name} of ${getName(reference.path)}` : e.name
+    }))))
+    const failed = variants.filter(e => !e.unlocks)
+    const changed = variants.filter(e => e.distance > 0)
+    let line = `  Level ${level.level} (tolerance ${level.tolerance}): ${variants.length - failed.length}/${variants.length} still unlock it, ${changed.length} change the hash`
+    if (failed.length) line += `; fails with ${failed.map(e => `${e.name} (${formatBits(e.distance)})`).join(', ')}`
+    lines.push(line)
+
+    if (level.unstableBits.length) {
+      lines.push(`    Unstable comparisons: ${level.unstableBits.slice(0, 5).map(e => `#${e.bit} ${e.description} (${e.flips}x)`).join(', ')}`)
+    }
+    for (let variant of variants.filter(e => e.otherLevels.length)) {
+      lines.push(`    Warning: ${variant.name} also unlocks level ${variant.otherLevels.join(', ')}`)
+    }
+    if (level.nearestLevel) lines.push(`    Nearest level: ${level.nearestLevel.level} (${formatBits(level.nearestLevel.distance)})`)
+  }
+
+  if (report.closestLevels) {
+    lines.push(`Minimum distance between different levels: ${formatBits(report.closestLevels.distance)} (levels ${report.closestLevels.levels.join(' and ')})`)
+  }
+  return lines
+}
+
+// Returns the HTML report, with the thumbnails of each change. `getName(path)` names the
+// reference images. It shows the reference images, so it should not be published with the game.
+function formatRobustnessHTML (report, getName) {
+  const levelSections = report.levels.map(level => {
+    const references = level.references.map(reference => {
+      const cells = reference.variants.map(variant => `
+      <figure class="${variant.unlocks ? 'pass' : 'fail'}">
+        <img src="${variant.thumbnail}" alt="">
+        <figcaption>${escapeHTML(variant.name)}: ${formatBits(variant.distance)}${variant.unlocks ? '' : ', does not unlock'}${variant.otherLevels.length ? `, unlocks level ${variant.otherLevels.join(', ')}` : ''}</figcaption>
+      </figure>`).join('')
+
+      return `
+    <h3>${escapeHTML(getName(reference.path))}</h3>
+    <div class="variants">
+      <figure><img src="${reference.thumbnail}" alt=""><figcaption>Reference</figcaption></figure>${cells}
+    </div>`
+    }).join('')
+
+    const unstableBits = level.unstableBits.length
+      ? level.unstableBits.map(e => `#${e.bit} ${e.description}: ${e.flips}x`).join(', ')
+      : 'none'
+    const nearestLevel = level.nearestLevel ? `level ${level.nearestLevel.level}, ${formatBits(level.nearestLevel.distance)} away` : 'none'
+
+    return `
+  <section>
+    <h2>Level ${level.level}</h2>
+    <p>Tolerance: ${level.tolerance}. Unstable comparisons: ${unstableBits}. Nearest level: ${nearestLevel}.</p>${references}
+  </section>`
+  }).join('')
+
+  const gameBits = report.unstableBits.length
+    ? report.unstableBits.map(e => `<li>#${e.bit} ${e.description}: ${e.flips} changes</li>`).join('')
+    : '<li>None</li>'
+
+  return `<!doctype html>
+<meta charset="utf-8">
+<title>Hash robustness report</title>
+<style>
+body { font-family: sans-serif; margin: 2em }
+.variants { display: flex; flex-wrap: wrap; gap: 8px }
+figure { margin: 0; width: ${THUMBNAIL_WIDTH}px; font-size: small; border-top: 4px solid transparent }
+figure.pass { border-color: #4caf50 }
+figure.fail { border-color: #f44336 }
+img { display: block; width: 100% }
+</style>
+<h1>Hash robustness report</h1>
+<p>${report.levels.length} levels, ${report.variantCount} changes for each reference image.
+Distances are the number of different bits between the closest hashes of the changed image and of the level.
+${report.closestLevels ? `The closest different levels are ${report.closestLevels.levels.join(' and ')}, ${formatBits(report.closestLevels.distance)} away.` : ''}</p>
+<h2>Most unstable comparisons</h2>
+<ul>${gameBits}</ul>${levelSections}
+`
+}
+
+// Hashes the crops the page tries (see dhash.computeCropBits)
+function getCropBits (image, hashOptions) {
+  const { data, width, height } = image.bitmap
+  return dhash.computeCropBits(data, width, height, hashOptions)
+}
+
+// Returns the closest hashes of two lists as {a, b, distance}. Hashes with different
+// lengths come from different hash settings, so they are never close.
+function getClosestPair (hashesA, hashesB) {
+  let closest = { a: null, b: null, distance: Infinity }
+  for (let a of hashesA) {
+    for (let b of hashesB) {
+      if (a.length !== b.length) continue
+      const distance = matcher.getDistance(a, b)
+      if (distance < closest.distance) closest = { a, b, distance }
+    }
+  }
+  return closest
+}
+
+function getFlippedBits (bitsA, bitsB) {
+  const flippedBits = []
+  if (!bitsA || !bitsB) return flippedBits
+  for (let i = 0; i < bitsA.length; i++) {
+    if (bitsA[i] !== bitsB[i]) flippedBits.push(i)
+  }
+  return flippedBits
+}
+
+// Names the cells compared by a bit of the hash, in the order computeBits generates those:
+// first the horizontal comparisons, then the vertical ones
+function describeBit (bit, hashOptions) {
+  const { sizeMin } = dhash.getOptions(hashOptions)
+  const cellCount = sizeMin * sizeMin
+  if (bit < cellCount) {
+    const x = bit % sizeMin
+    const y = Math.floor(bit / sizeMin) + 1
+    return `(${x}, ${y})-(${x + 1}, ${y})`
+  }
+  const x = Math.floor((bit - cellCount) / sizeMin)
+  const y = (bit - cellCount) % sizeMin
+  return `(${x}, ${y})-(${x}, ${y + 1})`
+}
+
+async function reencode (image, quality) {
+  const buffer = await image.quality(quality).getBufferAsync(Jimp.MIME_JPEG)
+  return Jimp.read(buffer)
+}
+
+// Removes `amount` (as a fraction of the size) from the left and top borders and
+// `otherSide` from the right and bottom ones, so the image also moves when those differ
+function cropBorders (image, amount, otherSide) {
+  const { width, height } = image.bitmap
+  const left = Math.round(width * amount)
+  const top = Math.round(height * amount)
+  const right = Math.round(width * otherSide)
+  const bottom = Math.round(height * otherSide)
+  return image.crop(left, top, width - left - right, height - top - bottom)
+}
+
+// Two lines of white text with black borders on the bottom, simulated with stripes
+function drawSubtitles (image) {
+  const { width, height } = image.bitmap
+  for (let line of [0.8, 0.87]) {
+    image.scan(Math.round(width * 0.25), Math.round(height * line), Math.round(width * 0.5), Math.round(height * 0.05), function (x, y, i) {
+      const stripe = (Math.floor(x / 3) + Math.floor(y / 6)) % 3
+      if (stripe === 2) return
+      const value = stripe === 0 ? 255 : 0
+      this.bitmap.data[i] = this.bitmap.data[i + 1] = this.bitmap.data[i + 2] = value
+    })
+  }
+  return image
+}
+
+// A translucent white logo at `x` and `y` (as fractions of the size)
+function drawLogo (image, x, y) {
+  const { width, height } = image.bitmap
+  image.scan(Math.round(width * x), Math.round(height * y), Math.round(width * 0.12), Math.round(height * 0.08), function (x, y, i) {
+    for (let j = 0; j < 3; j++) this.bitmap.data[i + j] = Math.round(this.bitmap.data[i + j] * 0.4 + 255 * 0.6)
+  })
+  return image
+}
+
+function changeGamma (image, gamma) {
+  image.scan(0, 0, image.bitmap.width, image.bitmap.height, function (x, y, i) {
+    for (let j = 0; j < 3; j++) this.bitmap.data[i + j] = Math.round(255 * Math.pow(this.bitmap.data[i + j] / 255, gamma))
+  })
+  return image
+}
+
+async function getThumbnail (image) {
+  return image.clone().resize(THUMBNAIL_WIDTH, Jimp.AUTO).quality(60).getBase64Async(Jimp.MIME_JPEG)
+}
+
+function formatBits (count) {
+  return `${count} bit${count === 1 ? '' : 's'}`
+}
+
+function escapeHTML (text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+module.exports.VARIANTS = VARIANTS
+module.exports.getRobustnessReport = getRobustnessReport
+module.exports.formatRobustnessSummary = formatRobustnessSummary
+module.exports.formatRobustnessHTML = formatRobustnessHTML
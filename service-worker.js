@@ -0,0 +1,22 @@
+// The service worker of the game page: it caches the pages, the web app manifests and the
+// icons, so the game can be installed and played offline after the first visit. Only the
+// ranking needs the network. The builder writes it next to the pages, filling CACHE_NAME,
+// which changes with the pages so a new build replaces the old cache, and CACHED_FILES.
+const CACHE_NAME = 'mother-game'
+const CACHED_FILES = []
+
+self.addEventListener('install', evt => {
+  evt.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(CACHED_FILES)).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', evt => {
+  evt.waitUntil(caches.keys().then(names => Promise.all(
+    names.filter(e => e.startsWith('mother-game') && e !== CACHE_NAME).map(e => caches.delete(e))
+  )).then(() => self.clients.claim()))
+})
+
+// The cached files are served from the cache and everything else, like the ranking, from the network
+self.addEventListener('fetch', evt => {
+  if (evt.request.method !== 'GET') return
+  evt.respondWith(caches.match(evt.request, { ignoreSearch: true }).then(response => response || fetch(evt.request)))
+})
@@ -0,0 +1,84 @@
+// Tests of the modules shared by the builder and the page: run with npm test
+const test = require('node:test')
+const assert = require('assert')
+const { randomBytes } = require('crypto')
+const dhash = require('./dhash')
+const payload = require('./payload')
+const vectors = require('./dhash-vectors.json')
+
+// The same vectors are checked in browsers by the page of check-hash --html
+for (let vector of vectors) {
+  test(`dHash of ${vector.name} (${vector.width}x${vector.height})`, () => {
+    const pixels = Buffer.from(vector.pixels, 'base64')
+    assert.strictEqual(dhash.computeBits(pixels, vector.width, vector.height, null, vector.options), vector.hash)
+  })
+}
+
+// Level payloads (see payload.js) must survive an encode and decode round trip, unknown
+// sections must be kept, payloads from older games must still be decoded and broken
+// payloads must be rejected
+const data = {
+  signingKey: Buffer.from(JSON.stringify({ kty: 'EC', d: randomBytes(32).toString('base64') })),
+  shares: [randomBytes(18), randomBytes(18), randomBytes(24)],
+  thumbnail: randomBytes(1500),
+  rewardShares: [{ reward: 0, share: randomBytes(18) }, { reward: 3, share: randomBytes(18) }],
+  answer: { title: 'Título', episode: '3', timestamp: '12:34' },
+  answerImage: randomBytes(3000)
+}
+const encoded = payload.encodePayload(data)
+const assertBytes = (actual, expected) => assert.deepStrictEqual(Buffer.from(actual), Buffer.from(expected))
+
+test('payload round trip', () => {
+  const decoded = payload.decodePayload(encoded)
+  assertBytes(decoded.signingKey, data.signingKey)
+  assertBytes(decoded.thumbnail, data.thumbnail)
+  assert.strictEqual(decoded.shares.length, data.shares.length)
+  decoded.shares.forEach((e, i) => assertBytes(e, data.shares[i]))
+  assert.strictEqual(decoded.rewardShares.length, data.rewardShares.length)
+  decoded.rewardShares.forEach((e, i) => {
+    assert.strictEqual(e.reward, data.rewardShares[i].reward)
+    assertBytes(e.share, data.rewardShares[i].share)
+  })
+  assert.deepStrictEqual(decoded.answer, data.answer)
+  assertBytes(decoded.answerImage, data.answerImage)
+  assert.strictEqual(decoded.unknown.length, 0)
+})
+
+test('payload round trip without shares', () => {
+  const decoded = payload.decodePayload(payload.encodePayload(Object.assign({}, data, { shares: [], rewardShares: undefined, answer: null, answerImage: null })))
+  assert.strictEqual(decoded.shares.length, 0)
+  assert.strictEqual(decoded.rewardShares.length, 0)
+  assert.strictEqual(decoded.answer, null)
+  assert.strictEqual(decoded.answerImage, null)
+  assertBytes(decoded.thumbnail, data.thumbnail)
+})
+
+test('payload unknown sections are kept', () => {
+  const decoded = payload.decodePayload(Buffer.concat([encoded, Buffer.from([200, 0, 0, 0, 3, 1, 2, 3])]))
+  assert.strictEqual(decoded.unknown.length, 1)
+  assert.strictEqual(decoded.unknown[0].type, 200)
+  assertBytes(decoded.unknown[0].data, [1, 2, 3])
+  assertBytes(decoded.thumbnail, data.thumbnail)
+})
+
+test('legacy payloads are decoded', () => {
+  const legacyKey = Buffer.from(JSON.stringify({ d: 'x'.repeat(206 - 8) }))
+  const legacyShares = [randomBytes(18), randomBytes(18)]
+  const decoded = payload.decodePayload(Buffer.concat([legacyKey].concat(legacyShares, [data.thumbnail])), legacyShares.length)
+  assertBytes(decoded.signingKey, legacyKey)
+  assertBytes(decoded.thumbnail, data.thumbnail)
+  decoded.shares.forEach((e, i) => assertBytes(e, legacyShares[i]))
+})
+
+test('truncated payloads are rejected', () => {
+  assert.throws(() => payload.decodePayload(encoded.slice(0, encoded.length - 1)))
+})
+
+test('payloads without a thumbnail are rejected', () => {
+  const withoutExtras = Object.assign({}, data, { rewardShares: [], answer: null, answerImage: null })
+  assert.throws(() => payload.decodePayload(payload.encodePayload(withoutExtras).slice(0, -data.thumbnail.length - 5)))
+})
+
+test('payloads of unknown versions are rejected', () => {
+  assert.throws(() => payload.decodePayload(Buffer.concat([Buffer.from([payload.FORMAT_VERSION + 1]), encoded.slice(1)])))
+})
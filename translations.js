@@ -0,0 +1,82 @@
+// Page translations: the game page is built from a single template (base-html/index.html)
+// and a string table for each language (base-html/strings-<lang>.json). The template uses
+// {{key}} for its texts and the game code calls translate('key', values), which reads the
+// texts the builder embeds in the page. Texts with plural forms are objects like
+// {"one": "...", "other": "..."}, chosen by the page with Intl.PluralRules.
+const path = require('path')
+const util = require('util')
+const fs = require('fs')
+
+const readFile = util.promisify(fs.readFile)
+const PLACEHOLDER_REGEX = /\{\{(\w+)\}\}/g
+const TRANSLATE_REGEX = /\btranslate\('(\w+)'/g
+const STRINGS_PLACEHOLDER = `<script id="page-strings" type="application/json">{}</script>`
+// Those placeholders are filled by the builder instead of the string tables
+const GENERATED_KEYS = ['lang', 'languageLinks']
+// The name of the language in its own language, used in the links from the other pages
+const LANGUAGE_LINK_KEY = 'languageLink'
+
+async function loadStrings (templateFolder, lang) {
+  const stringsPath = path.join(templateFolder, `strings-${lang}.json`)
+  const contents = await readFile(stringsPath, 'utf-8').catch(err => {
+    if (err.code === 'ENOENT') throw Error(`Unknown language "${lang}": there is no ${path.basename(stringsPath)} in ${templateFolder}`)
+    throw err
+  })
+
+  try {
+    return JSON.parse(contents)
+  } catch (e) {
+    throw Error(`Could not parse ${path.basename(stringsPath)}: ${e.message}`)
+  }
+}
+
+// Returns the keys used by the template: `pageKeys` are the {{key}} placeholders and
+// `scriptKeys` the keys used by the game code, which can have plural forms
+function getTemplateKeys (template) {
+  const pageKeys = new Set(Array.from(template.matchAll(PLACEHOLDER_REGEX), e => e[1]))
+  const scriptKeys = new Set(Array.from(template.matchAll(TRANSLATE_REGEX), e => e[1]))
+  for (let key of GENERATED_KEYS) pageKeys.delete(key)
+  pageKeys.add(LANGUAGE_LINK_KEY)
+  return { pageKeys: Array.from(pageKeys), scriptKeys: Array.from(scriptKeys) }
+}
+
+// Throws an error listing the keys of the template which are missing from a string table
+function checkStrings (template, strings, lang) {
+  const { pageKeys, scriptKeys } = getTemplateKeys(template)
+  const isText = text => typeof text === 'string'
+  const isPluralText = text => text !== null && typeof text === 'object' && isText(text.other) && Object.values(text).every(isText)
+
+  const missingKeys = pageKeys.filter(key => !isText(strings[key]))
+    .concat(scriptKeys.filter(key => !isText(strings[key]) && !isPluralText(strings[key])))
+  if (missingKeys.length) {
+    throw Error(`Missing translations in strings-${lang}.json: ${missingKeys.join(', ')}`)
+  }
+}
+
+// Returns the page of a language. `languageLinks` are the other languages as {name, url}.
+// The texts are HTML, so the credits can have links.
+function translatePage (template, strings, lang, languageLinks) {
+  const { scriptKeys } = getTemplateKeys(template)
+  const generatedValues = {
+    lang,
+    languageLinks: languageLinks.map(e => `<a href="${escapeHTML(e.url)}">${e.name}</a>`).join(' | ')
+  }
+
+  const scriptStrings = {}
+  for (let key of scriptKeys) scriptStrings[key] = strings[key]
+  // "<" is escaped so texts can't close the script tag
+  const scriptJSON = JSON.stringify(scriptStrings).replace(/</g, '\\u003c')
+
+  return template
+    .replace(PLACEHOLDER_REGEX, (match, key) => GENERATED_KEYS.includes(key) ? generatedValues[key] : strings[key])
+    .replace(STRINGS_PLACEHOLDER, e => e.replace('{}', scriptJSON))
+}
+
+function escapeHTML (text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+}
+
+module.exports.LANGUAGE_LINK_KEY = LANGUAGE_LINK_KEY
+module.exports.loadStrings = loadStrings
+module.exports.checkStrings = checkStrings
+module.exports.translatePage = translatePage